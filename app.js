@@ -4,10 +4,30 @@
  * 
  * Implements:
  * - Auto-delete at T=0 with Graveyard migration
- * - Graveyard (24-hour recovery cache)
+ * - Graveyard (configurable recovery window, optional)
  * - Haptic feedback system
+ * - Synthesized sound cues (Web Audio, works offline)
  * - Glitch effects for urgency states
  * - Shatter animation on expiration
+ * - Local deadline reminders (ELEVATED, CRITICAL, TERMINAL; see scheduler.js)
+ * - Offline-first multi-device task sync (see sync.js)
+ * - Versioned IndexedDB persistence with quarantine (see storage.js)
+ * - JSON and CSV export/import of missions, graveyard, stats and settings
+ * - Event history and analytics dashboard
+ * - Exact and natural-language deadlines (see timeparse.js)
+ * - Recurring missions (daily, weekdays, weekly on given days, every N hours)
+ * - Deadline extensions with a per-mission limit and optional streak cost
+ * - Mission checklists with a work-done bar next to the time bar
+ * - Focus sessions (work/break intervals) inside Hyper-Focus
+ * - Configurable urgency tiers (absolute or % of window, global or per mission)
+ * - Projects and tags with search, filters, grouping and scoped stats
+ * - Command palette (Ctrl+K) and single-key shortcuts
+ * - Undo/redo for add, complete, delete, extend, resurrect, discard and clear-all
+ * - URL actions (?action=new|focus|complete) for shortcuts and deep links
+ * - Web Share Target: shared text and links open a pre-filled New Mission
+ * - Shared mission boards over a WebSocket relay, with claims and presence
+ * - iCalendar (.ics) export with CRITICAL alarms, and import of upcoming events (see ics.js)
+ * - Mission templates and editable, reorderable time presets
  */
 'use strict';
 
@@ -15,19 +35,18 @@
 const MS_PER_SECOND = 1000;
 const MS_PER_MINUTE = 60000;
 const MS_PER_HOUR = 3600000;
-const CRITICAL_THRESHOLD = 15 * MS_PER_MINUTE;
-const ELEVATED_THRESHOLD = 2 * MS_PER_HOUR;
-const MAX_TASK_NAME_LENGTH = 200;
 const STORAGE_KEY_PREFIX = 'non-';
-const GRAVEYARD_DURATION = 24 * MS_PER_HOUR; // 24 hours
+const DEFAULT_GRAVEYARD_HOURS = 24; // Recovery window unless configured
 const RESURRECT_HOLD_DURATION = 3000; // 3 seconds hold to resurrect
+const REMINDER_SNOOZE = 5 * MS_PER_MINUTE;
+const SYNC_INTERVAL = MS_PER_MINUTE; // Pull from the sync server while visible
+const HISTORY_LIMIT = 5000; // Oldest events are dropped beyond this
 
-// State color mapping (single source of truth)
-const STATE_COLORS = {
-  STABLE: { color: '#00ffff', bg: 'rgba(0, 255, 255, 0.13)' },
-  ELEVATED: { color: '#ff8800', bg: 'rgba(255, 136, 0, 0.13)' },
-  CRITICAL: { color: '#ff0044', bg: 'rgba(255, 0, 68, 0.13)' },
-  TERMINAL: { color: '#ff0044', bg: 'rgba(255, 0, 68, 0.13)' }
+// Time source for schedulers; tests swap these for a fake clock
+const clock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id)
 };
 
 // State
@@ -35,10 +54,13 @@ let tasks = [];
 let graveyard = [];
 let completedCount = 0;
 let expiredCount = 0;
+let deletedCount = 0; // Manual deletes; not losses, so kept out of Lost and the streak
 let streak = 0;
+let bestStreak = 0;
+let eventLog = []; // History events, oldest first
 let selectedMins = 60;
 let hfTask = null;
-let timerInterval = null;
+let focusSession = null; // Running focus session, persisted in meta
 let graveyardTimers = {};
 let resurrectHoldTimers = {};
 let wakeLock = null;
@@ -46,8 +68,29 @@ let longPressTimer = null;
 let settings = {
   sound: true,
   haptic: true,
-  graveyard: true,
-  defaultTime: 60
+  graveyard: true,               // false = expired and deleted missions are hard-deleted
+  graveyardHours: DEFAULT_GRAVEYARD_HOURS,
+  graveyardDeletes: true,        // Manual deletes go to the graveyard too
+  notifications: false,          // Local deadline reminders (needs permission)
+  syncEnabled: false,
+  syncBackend: 'rest',           // Backend registered in sync.js
+  syncUrl: '',
+  defaultTime: 60,
+  presets: null,                 // Time presets in minutes; null = DEFAULT_PRESETS
+  templates: [],                 // [{ id, name, mins, tags, steps }]
+  extendMins: 15,                // Time added per extension
+  maxExtensions: 2,              // Per mission; 0 disables extending
+  extendCostsStreak: false,      // Extending resets the streak
+  focusWorkMins: 25,             // Focus session work interval
+  focusBreakMins: 5,             // Focus session break interval
+  undoSeconds: 8,                // How long the undo toast stays up
+  tiers: null,                   // Urgency tiers; null = DEFAULT_TIERS
+  projects: [],                  // [{ id, name, color }]
+  groupBy: '',                   // Active Missions grouping: '', 'project' or 'tag'
+  relayUrl: '',                  // Shared board relay, e.g. ws://localhost:8788
+  boardId: '',
+  memberName: '',                // Shown to teammates on the board
+  memberId: ''                   // Generated on first connect
 };
 
 // ==================== HAPTIC FEEDBACK SYSTEM ====================
@@ -73,12 +116,263 @@ function triggerHaptic(pattern) {
   navigator.vibrate(vibrationPattern);
 }
 
+/*
+ * Critical-state rhythm. Every CRITICAL or TERMINAL mission is tracked, but
+ * one shared timer drives the motor and the matching sound cue: the most
+ * urgent mission sets the tempo, so several critical missions never vibrate
+ * or beep over each other.
+ */
+const CRITICAL_HAPTIC_SLOWEST = 10 * MS_PER_SECOND; // On entering CRITICAL
+const CRITICAL_HAPTIC_FASTEST = 3 * MS_PER_SECOND;  // Just before TERMINAL
+const TERMINAL_HAPTIC_INTERVAL = 2 * MS_PER_SECOND;
+const criticalHapticTasks = new Set();
+let criticalHapticTimer = null;
+
+/**
+ * Gap before the next pulse, shrinking as the deadline nears
+ * @param {object} task - Task
+ * @param {object} tier - Its current tier
+ * @param {number} now - Current timestamp
+ * @returns {number} ms
+ */
+function criticalHapticInterval(task, tier, now) {
+  if (tier.effect === 'TERMINAL') return TERMINAL_HAPTIC_INTERVAL;
+  // How far into the tier the task is: 1 on entering, 0 at the deadline
+  const share = Math.min(1, Math.max(0, (task.deadline - now) / tierThresholdMs(task, tier)));
+  return Math.round(CRITICAL_HAPTIC_FASTEST + (CRITICAL_HAPTIC_SLOWEST - CRITICAL_HAPTIC_FASTEST) * share);
+}
+
 /**
  * Start rhythmic haptic for critical state
  * @param {string} taskId - Task ID to track
  */
 function startCriticalHaptic(taskId) {
-  // Will be implemented with interval tracking
+  if (criticalHapticTasks.has(taskId)) return;
+  criticalHapticTasks.add(taskId);
+
+  // A new, more urgent mission takes over the tempo right away
+  clock.clearTimeout(criticalHapticTimer);
+  pulseCriticalHaptic();
+}
+
+/**
+ * Stop the rhythm for a task (completed, deleted, expired or extended)
+ * @param {string} taskId - Task ID
+ */
+function stopCriticalHaptic(taskId) {
+  if (!criticalHapticTasks.delete(taskId)) return;
+  if (criticalHapticTasks.size === 0) {
+    clock.clearTimeout(criticalHapticTimer);
+    criticalHapticTimer = null;
+    if (navigator.vibrate) navigator.vibrate(0); // Cut a pulse in progress
+  }
+}
+
+/**
+ * One beat of the shared rhythm, then schedule the next
+ */
+function pulseCriticalHaptic() {
+  criticalHapticTimer = null;
+
+  const now = clock.now();
+  const tiers = getTiers();
+  let mostUrgent = null;
+  criticalHapticTasks.forEach(id => {
+    const task = tasks.find(t => t.id === id);
+    if (!task || task.deadline <= now) {
+      criticalHapticTasks.delete(id);
+      return;
+    }
+    const tier = getTier(task, now);
+    const level = tiers.indexOf(tier);
+    if (!mostUrgent || level > mostUrgent.level ||
+        (level === mostUrgent.level && task.deadline < mostUrgent.task.deadline)) {
+      mostUrgent = { task: task, tier: tier, level: level };
+    }
+  });
+  if (!mostUrgent) return;
+
+  const cue = mostUrgent.tier.effect === 'TERMINAL' ? 'heartbeat' : 'critical';
+  triggerHaptic(cue);
+  playSound(cue);
+  criticalHapticTimer = clock.setTimeout(
+    pulseCriticalHaptic,
+    criticalHapticInterval(mostUrgent.task, mostUrgent.tier, now)
+  );
+}
+
+// ==================== SOUND SYSTEM ====================
+
+/**
+ * Synthesized cues, one per event. Every tone is generated with the Web Audio
+ * API so nothing has to be downloaded or cached for offline use.
+ * Tone fields: freq (Hz), to (optional end frequency for a sweep), start and
+ * duration (seconds), type (oscillator waveform), gain (peak volume), noise.
+ */
+const SOUND_CUES = {
+  success: [
+    { freq: 660, start: 0, duration: 0.09, type: 'triangle', gain: 0.18 },
+    { freq: 990, start: 0.08, duration: 0.14, type: 'triangle', gain: 0.18 }
+  ],
+  failure: [
+    { freq: 220, to: 140, start: 0, duration: 0.18, type: 'sawtooth', gain: 0.12 },
+    { freq: 180, to: 110, start: 0.2, duration: 0.22, type: 'sawtooth', gain: 0.12 }
+  ],
+  critical: [
+    { freq: 880, start: 0, duration: 0.06, type: 'square', gain: 0.08 },
+    { freq: 880, start: 0.12, duration: 0.06, type: 'square', gain: 0.08 },
+    { freq: 880, start: 0.24, duration: 0.06, type: 'square', gain: 0.08 }
+  ],
+  heartbeat: [
+    { freq: 70, to: 50, start: 0, duration: 0.12, type: 'sine', gain: 0.35 },
+    { freq: 65, to: 45, start: 0.18, duration: 0.14, type: 'sine', gain: 0.28 }
+  ],
+  shatter: [
+    { noise: true, start: 0, duration: 0.25, gain: 0.2 },
+    { freq: 1800, to: 300, start: 0, duration: 0.2, type: 'square', gain: 0.05 }
+  ],
+  // Escalation ticks for tier effects: more, higher and faster per level
+  'tick-ELEVATED': [
+    { freq: 1200, start: 0, duration: 0.03, type: 'square', gain: 0.06 }
+  ],
+  'tick-CRITICAL': [
+    { freq: 1500, start: 0, duration: 0.03, type: 'square', gain: 0.07 },
+    { freq: 1500, start: 0.09, duration: 0.03, type: 'square', gain: 0.07 }
+  ],
+  'tick-TERMINAL': [
+    { freq: 1900, start: 0, duration: 0.03, type: 'square', gain: 0.08 },
+    { freq: 1900, start: 0.06, duration: 0.03, type: 'square', gain: 0.08 },
+    { freq: 1900, start: 0.12, duration: 0.03, type: 'square', gain: 0.08 }
+  ]
+};
+
+let audioContext = null;
+let lastTaskStates = {};
+
+/**
+ * Lazily create the shared AudioContext
+ * @returns {AudioContext|null} Context, or null when Web Audio is unavailable
+ */
+function getAudioContext() {
+  if (audioContext) return audioContext;
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return null; // Graceful fallback
+
+  try {
+    audioContext = new AudioCtx();
+  } catch (err) {
+    console.warn('[Sound] Failed to create AudioContext:', err.message);
+    return null;
+  }
+  return audioContext;
+}
+
+/**
+ * Resume audio on the first user gesture (autoplay policies start it suspended).
+ * With sound off no context is created; switching sound on plays a cue from
+ * that gesture instead.
+ */
+function unlockAudio() {
+  document.removeEventListener('pointerdown', unlockAudio);
+  document.removeEventListener('keydown', unlockAudio);
+  if (!settings.sound) return;
+
+  const ctx = getAudioContext();
+  if (ctx && ctx.state === 'suspended') {
+    ctx.resume().catch(() => {});
+  }
+}
+
+/**
+ * Schedule a single oscillator or noise tone
+ * @param {AudioContext} ctx - Audio context
+ * @param {object} tone - Tone description from SOUND_CUES
+ */
+function playTone(ctx, tone) {
+  const startAt = ctx.currentTime + tone.start;
+  const endAt = startAt + tone.duration;
+
+  const amp = ctx.createGain();
+  amp.gain.setValueAtTime(0.0001, startAt);
+  amp.gain.exponentialRampToValueAtTime(tone.gain, startAt + 0.01);
+  amp.gain.exponentialRampToValueAtTime(0.0001, endAt);
+  amp.connect(ctx.destination);
+
+  let source;
+  if (tone.noise) {
+    const length = Math.ceil(ctx.sampleRate * tone.duration);
+    const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    source = ctx.createBufferSource();
+    source.buffer = buffer;
+
+    // Keep only the bright "glass" part of the noise
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 2000;
+    source.connect(filter);
+    filter.connect(amp);
+  } else {
+    source = ctx.createOscillator();
+    source.type = tone.type;
+    source.frequency.setValueAtTime(tone.freq, startAt);
+    if (tone.to) {
+      source.frequency.exponentialRampToValueAtTime(tone.to, endAt);
+    }
+    source.connect(amp);
+  }
+
+  source.start(startAt);
+  source.stop(endAt + 0.02);
+}
+
+/**
+ * Play a synthesized sound cue with graceful fallback
+ * @param {string} cue - 'success', 'failure', 'critical', 'heartbeat', 'shatter'
+ *   or 'tick-<EFFECT>'
+ */
+function playSound(cue) {
+  if (!settings.sound) return;
+
+  const tones = SOUND_CUES[cue];
+  if (!tones) return;
+
+  const ctx = getAudioContext();
+  if (!ctx) return;
+  if (ctx.state === 'suspended') {
+    ctx.resume().catch(() => {});
+  }
+
+  tones.forEach(tone => playTone(ctx, tone));
+}
+
+/**
+ * Track a task's urgency tier and tick when it escalates
+ * @param {string} taskId - Task ID
+ * @param {object} tier - Current tier from getTier()
+ * @param {boolean} [silent=false] - Skip the tick (catching up after sleep)
+ */
+function trackStateChange(taskId, tier, silent = false) {
+  const previous = lastTaskStates[taskId];
+  lastTaskStates[taskId] = tier.id;
+
+  // The haptic rhythm follows the tier effect, including on page load
+  if (tier.effect === 'CRITICAL' || tier.effect === 'TERMINAL') {
+    startCriticalHaptic(taskId);
+  } else {
+    stopCriticalHaptic(taskId);
+  }
+
+  // First sighting (page load, new task, tiers reconfigured) is not a transition
+  const previousLevel = previous ? tierLevel(previous) : -1;
+  if (previousLevel === -1 || previous === tier.id) return;
+
+  if (!silent && tierLevel(tier.id) > previousLevel) {
+    playSound('tick-' + tier.effect);
+  }
 }
 
 // ==================== WAKE LOCK FOR HYPER-FOCUS ====================
@@ -161,6 +455,75 @@ function showWakeLockIndicator() {
 
 // ==================== SETTINGS ====================
 
+/*
+ * Checks per setting: value => clean value, or undefined if unusable.
+ * Stored and imported settings both go through normalizeSettings(), so a
+ * bad value never reaches the code that reads it.
+ */
+const settingBoolean = value => (typeof value === 'boolean' ? value : undefined);
+const settingInt = (min, max) => value => (Number.isInteger(value) && value >= min && value <= max ? value : undefined);
+const settingUrl = protocols => value => {
+  if (value === '') return value;
+  if (typeof value !== 'string' || value.length > 2048) return undefined;
+  try {
+    return protocols.includes(new URL(value).protocol) ? value : undefined;
+  } catch (e) {
+    return undefined;
+  }
+};
+const settingId = value => (value === '' || isRecordId(value) ? value : undefined);
+
+const SETTING_CHECKS = {
+  sound: settingBoolean,
+  haptic: settingBoolean,
+  graveyard: settingBoolean,
+  graveyardHours: settingInt(1, 30 * 24),
+  graveyardDeletes: settingBoolean,
+  notifications: settingBoolean,
+  syncEnabled: settingBoolean,
+  syncBackend: value => (typeof value === 'string' && syncBackends[value] ? value : undefined),
+  syncUrl: settingUrl(['http:', 'https:']),
+  defaultTime: value => settingInt(1, MAX_PRESET_MINS)(value),
+  presets: value => (value === null ? null : normalizePresets(value) || undefined),
+  templates: value => (Array.isArray(value) ? value.map(normalizeTemplate).filter(Boolean).slice(0, MAX_TEMPLATES) : undefined),
+  extendMins: settingInt(1, 24 * 60),
+  maxExtensions: settingInt(0, 10),
+  extendCostsStreak: settingBoolean,
+  focusWorkMins: settingInt(1, 4 * 60),
+  focusBreakMins: settingInt(1, 2 * 60),
+  undoSeconds: settingInt(1, 60),
+  tiers: value => (value === null ? null : normalizeTiers(value) || undefined),
+  projects: value => (Array.isArray(value) ? normalizeProjects(value) : undefined),
+  groupBy: value => (['', 'project', 'tag'].includes(value) ? value : undefined),
+  relayUrl: settingUrl(['ws:', 'wss:']),
+  boardId: settingId,
+  memberName: value => (typeof value === 'string' ? value.slice(0, MAX_MEMBER_NAME_LENGTH) : undefined),
+  memberId: settingId
+};
+
+// Why a typed-in value was refused; other settings come from fixed choices
+const SETTING_ERRORS = {
+  syncUrl: 'Sync server must be an http:// or https:// URL',
+  relayUrl: 'Relay must be a ws:// or wss:// URL'
+};
+
+/**
+ * Keep the known, well-formed settings of a stored or imported object
+ * @param {*} raw - Candidate settings
+ * @returns {object} Clean settings; unusable values are left out
+ */
+function normalizeSettings(raw) {
+  const clean = {};
+  if (!raw || typeof raw !== 'object') return clean;
+
+  Object.keys(SETTING_CHECKS).forEach(key => {
+    if (!Object.prototype.hasOwnProperty.call(raw, key)) return;
+    const value = SETTING_CHECKS[key](raw[key]);
+    if (value !== undefined) clean[key] = value;
+  });
+  return clean;
+}
+
 /**
  * Open settings modal
  */
@@ -172,7 +535,41 @@ function openSettings() {
   document.getElementById('setting-sound').checked = settings.sound;
   document.getElementById('setting-haptic').checked = settings.haptic;
   document.getElementById('setting-graveyard').checked = settings.graveyard;
+  document.getElementById('setting-graveyard-hours').value = settings.graveyardHours;
+  document.getElementById('setting-graveyard-deletes').checked = settings.graveyardDeletes;
+  document.getElementById('setting-notifications').checked = settings.notifications;
+  document.getElementById('setting-sync').checked = settings.syncEnabled;
+  document.getElementById('setting-sync-url').value = settings.syncUrl;
+  document.getElementById('setting-relay-url').value = settings.relayUrl;
+  document.getElementById('setting-board-id').value = settings.boardId;
+  document.getElementById('setting-member-name').value = settings.memberName;
   document.getElementById('setting-default-time').value = settings.defaultTime;
+  document.getElementById('setting-extend-mins').value = settings.extendMins;
+  document.getElementById('setting-max-extensions').value = settings.maxExtensions;
+  document.getElementById('setting-extend-streak').checked = settings.extendCostsStreak;
+  document.getElementById('setting-focus-work').value = settings.focusWorkMins;
+  document.getElementById('setting-focus-break').value = settings.focusBreakMins;
+  document.getElementById('setting-undo-seconds').value = settings.undoSeconds;
+  renderTierEditor();
+  renderProjectEditor();
+  renderPresetEditor();
+  renderTemplateEditor();
+  updateGraveyardSettingsUI();
+}
+
+/**
+ * Reflect the graveyard policy in the settings modal
+ */
+function updateGraveyardSettingsUI() {
+  document.getElementById('graveyard-desc').textContent = settings.graveyard
+    ? formatGraveyardWindow() + ' recovery buffer'
+    : 'Off: missions are deleted for good';
+
+  ['setting-graveyard-hours', 'setting-graveyard-deletes'].forEach(id => {
+    const control = document.getElementById(id);
+    control.disabled = !settings.graveyard;
+    control.closest('.setting-item').classList.toggle('disabled', !settings.graveyard);
+  });
 }
 
 /**
@@ -183,17 +580,72 @@ function closeSettings() {
 }
 
 /**
- * Update a setting and persist
+ * Update a setting and persist. Values go through the same checks as stored
+ * ones, so a setting never works now and is dropped on the next load.
  * @param {string} key - Setting key
  * @param {*} value - Setting value
+ * @returns {boolean} false when the value was refused
  */
 function updateSetting(key, value) {
+  value = SETTING_CHECKS[key](value);
+  if (value === undefined) {
+    showStorageNotification(SETTING_ERRORS[key] || 'Setting not changed: invalid value');
+    return false;
+  }
+
   settings[key] = value;
   saveState();
-  
-  // Apply immediate effects
-  if (key === 'defaultTime') {
-    selectedMins = value;
+  applySettings([key]);
+
+  if (key === 'sound' && value) {
+    playSound('success'); // Audible confirmation, doubles as audio unlock
+  }
+  return true;
+}
+
+/**
+ * Put changed settings into effect: redraw what shows them and reconnect
+ * what uses them
+ * @param {string[]} keys - Settings that changed
+ */
+function applySettings(keys) {
+  const changed = (...names) => names.some(name => keys.includes(name));
+
+  if (changed('defaultTime')) {
+    selectedMins = settings.defaultTime;
+  }
+  if (changed('presets', 'templates', 'defaultTime')) {
+    renderPresetButtons();
+    renderPresetEditor();
+    renderTemplateEditor();
+  }
+  if (changed('notifications')) {
+    scheduleReminders();
+  }
+  if (changed('syncEnabled', 'syncBackend', 'syncUrl')) {
+    configureSync(changed('syncEnabled') && settings.syncEnabled);
+  }
+  if (changed('relayUrl', 'boardId', 'memberName', 'memberId')) {
+    connectBoard(changed('relayUrl', 'boardId'));
+    renderAll();
+  }
+  if (changed('projects', 'groupBy')) {
+    renderProjectEditor();
+    renderAll();
+    renderGraveyard();
+  }
+  if (changed('tiers')) {
+    renderTierEditor();
+    renderAll(); // Also reschedules reminders for the new thresholds
+  }
+  if (changed('extendMins', 'maxExtensions')) {
+    renderAll();
+    updateExtendButton();
+  }
+  if (changed('graveyard', 'graveyardHours', 'graveyardDeletes')) {
+    updateGraveyardSettingsUI();
+    checkGraveyardExpiration();
+    renderGraveyard();
   }
 }
 
@@ -201,14 +653,25 @@ function updateSetting(key, value) {
  * Clear all app data
  */
 function clearAllData() {
-  if (confirm('Are you sure you want to delete all data? This cannot be undone.')) {
+  if (confirm('Are you sure you want to delete all data?')) {
+    const before = captureUndoState();
     tasks = [];
     graveyard = [];
     completedCount = 0;
     expiredCount = 0;
+    deletedCount = 0;
     streak = 0;
+    bestStreak = 0;
+    eventLog = [];
+    focusSession = null;
     
-    // Clear localStorage
+    // Clear storage before the re-render saves the empty state
+    if (storageMode === 'indexeddb') {
+      saveChain = saveChain
+        .then(clearStoredState)
+        .then(updateQuarantineUI)
+        .catch(e => console.warn('Failed to clear IndexedDB:', e));
+    }
     Object.keys(localStorage).forEach(key => {
       if (key.startsWith(STORAGE_KEY_PREFIX)) {
         localStorage.removeItem(key);
@@ -218,110 +681,1013 @@ function clearAllData() {
     renderAll();
     renderGraveyard();
     updateStats();
+    saveState();
     closeSettings();
+    recordUndo('Cleared all data', before);
     showBurst('failure');
     triggerHaptic('failure');
+    playSound('failure');
   }
 }
 
-// ==================== LONG-PRESS RAPID ENTRY ====================
+// ==================== EXPORT / IMPORT ====================
 
-const LONG_PRESS_DURATION = 500; // 500ms
+/*
+ * JSON backup format (version 1):
+ *
+ *   {
+ *     "format": "now-or-never-backup",
+ *     "version": 1,
+ *     "exportedAt": "2026-01-31T09:00:00.000Z",
+ *     "tasks": [{ "id", "name", "deadline", "created", ... }],
+ *     "graveyard": [{ "id", "name", "deadline", "created", "expiredAt", "cause" }],
+ *     "stats": { "completedCount": 0, "expiredCount": 0, "deletedCount": 0, "streak": 0, "bestStreak": 0 },
+ *     "settings": { ... },
+ *     "history": [{ "id", "type", "at", "taskId", "name", "created", "deadline" }]
+ *   }
+ *
+ * Timestamps inside records are epoch milliseconds, exactly as stored.
+ * "history", "bestStreak" and "deletedCount" are optional (older backups lack
+ * them). Before deletedCount existed, deletes were counted in expiredCount.
+ *
+ * CSV format, one record per row, for spreadsheets:
+ *
+ *   record,id,name,created,deadline,expired_at,cause,key,value
+ *   task,k3x9ab12,Ship release,2026-01-31T09:00:00.000Z,2026-01-31T10:00:00.000Z,,,,
+ *   grave,k3x9cd34,Write report,...,...,2026-01-31T08:00:00.000Z,expired,,
+ *   stat,,,,,,,completedCount,12
+ *   setting,,,,,,,graveyardHours,24
+ *
+ * Dates are ISO 8601; setting values are JSON. CSV only carries these core
+ * fields (no history), so use JSON for a complete backup.
+ */
+const BACKUP_FORMAT = 'now-or-never-backup';
+const BACKUP_VERSION = 1;
+const CSV_COLUMNS = ['record', 'id', 'name', 'created', 'deadline', 'expired_at', 'cause', 'key', 'value'];
+const BACKUP_STATS = ['completedCount', 'expiredCount', 'deletedCount', 'streak', 'bestStreak'];
+
+let pendingImport = null;
+
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    tasks: tasks,
+    graveyard: graveyard,
+    stats: {
+      completedCount: completedCount,
+      expiredCount: expiredCount,
+      deletedCount: deletedCount,
+      streak: streak,
+      bestStreak: bestStreak
+    },
+    settings: settings,
+    history: eventLog
+  };
+}
+
+function backupFilename(extension) {
+  return `now-or-never-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function exportJson() {
+  downloadFile(backupFilename('json'), JSON.stringify(buildBackup(), null, 2), 'application/json');
+}
+
+function exportCsv() {
+  downloadFile(backupFilename('csv'), backupToCsv(buildBackup()), 'text/csv');
+}
 
 /**
- * Start long-press timer on New Mission button
+ * Quote a CSV cell; cells that spreadsheets would run as formulas get a
+ * leading apostrophe
  */
-function startLongPress() {
-  const btn = document.getElementById('new-task-btn');
-  btn.classList.add('long-pressing');
-  
-  longPressTimer = setTimeout(() => {
-    // Haptic feedback for long-press recognition
-    triggerHaptic('success');
-    showQuickPresets();
-  }, LONG_PRESS_DURATION);
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function isoOrEmpty(timestamp) {
+  return typeof timestamp === 'number' ? new Date(timestamp).toISOString() : '';
+}
+
+function backupToCsv(backup) {
+  const rows = [CSV_COLUMNS];
+  backup.tasks.forEach(t => {
+    rows.push(['task', t.id, t.name, isoOrEmpty(t.created), isoOrEmpty(t.deadline), '', '', '', '']);
+  });
+  backup.graveyard.forEach(g => {
+    rows.push(['grave', g.id, g.name, isoOrEmpty(g.created), isoOrEmpty(g.deadline),
+      isoOrEmpty(g.expiredAt), g.cause || 'expired', '', '']);
+  });
+  BACKUP_STATS.forEach(key => {
+    rows.push(['stat', '', '', '', '', '', '', key, backup.stats[key]]);
+  });
+  Object.keys(backup.settings).forEach(key => {
+    rows.push(['setting', '', '', '', '', '', '', key, JSON.stringify(backup.settings[key])]);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
 }
 
 /**
- * Cancel long-press timer
+ * Parse CSV text (RFC 4180: quoted cells, doubled quotes, CRLF or LF)
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows of cells
  */
-function cancelLongPress() {
-  const btn = document.getElementById('new-task-btn');
-  btn.classList.remove('long-pressing');
-  
-  if (longPressTimer) {
-    clearTimeout(longPressTimer);
-    longPressTimer = null;
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+function uncsvCell(text) {
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+function parseIsoCell(text) {
+  if (!text) return undefined;
+  return Date.parse(text); // NaN fails validation
+}
+
+function csvToBackup(text) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  const header = rows.shift() || [];
+  if (CSV_COLUMNS.some((column, i) => header[i] !== column)) {
+    throw new Error('Unrecognized CSV header');
   }
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    tasks: [],
+    graveyard: [],
+    stats: {},
+    settings: {}
+  };
+
+  rows.forEach(cells => {
+    const row = {};
+    CSV_COLUMNS.forEach((column, i) => {
+      row[column] = uncsvCell(cells[i] || '');
+    });
+
+    if (row.record === 'task') {
+      backup.tasks.push({
+        id: row.id,
+        name: row.name,
+        created: parseIsoCell(row.created),
+        deadline: parseIsoCell(row.deadline)
+      });
+    } else if (row.record === 'grave') {
+      backup.graveyard.push({
+        id: row.id,
+        name: row.name,
+        created: parseIsoCell(row.created),
+        deadline: parseIsoCell(row.deadline),
+        expiredAt: parseIsoCell(row.expired_at),
+        cause: row.cause === 'deleted' ? 'deleted' : 'expired'
+      });
+    } else if (row.record === 'stat') {
+      backup.stats[row.key] = Number(row.value);
+    } else if (row.record === 'setting') {
+      try {
+        backup.settings[row.key] = JSON.parse(row.value);
+      } catch (e) {
+        // Skip an unreadable setting; the rest of the file is still usable
+      }
+    }
+  });
+
+  return backup;
 }
 
 /**
- * Show quick presets menu
+ * Validate a parsed backup and keep only well-formed records
+ * @param {object} backup - Parsed JSON or CSV backup
+ * @returns {{backup: object, skipped: number}}
  */
-function showQuickPresets() {
-  document.getElementById('quick-presets').classList.add('active');
+function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT) {
+    throw new Error('Not a NOW OR NEVER backup');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error('Backup is from a newer version of the app');
+  }
+
+  // Same checks as stored records (records.js)
+  const rawTasks = Array.isArray(backup.tasks) ? backup.tasks : [];
+  const rawGraves = Array.isArray(backup.graveyard) ? backup.graveyard : [];
+  const validTasks = rawTasks.map(normalizeTask).filter(Boolean);
+  const validGraves = rawGraves.map(normalizeGrave).filter(Boolean);
+  const validEvents = (Array.isArray(backup.history) ? backup.history : [])
+    .map(normalizeEvent)
+    .filter(Boolean);
+
+  const stats = {};
+  BACKUP_STATS.forEach(key => {
+    const value = Number(backup.stats && backup.stats[key]);
+    stats[key] = Number.isInteger(value) && value >= 0 ? value : 0;
+  });
+
+  // Only settings known here, each passing its check
+  const importedSettings = normalizeSettings(backup.settings);
+
+  return {
+    backup: {
+      tasks: validTasks.map(t => ({ ...t, name: t.name.trim() })),
+      graveyard: validGraves,
+      history: validEvents,
+      stats: stats,
+      settings: importedSettings
+    },
+    skipped: rawTasks.length + rawGraves.length - validTasks.length - validGraves.length
+  };
 }
 
 /**
- * Hide quick presets menu
+ * Read an import file and show the merge/replace dialog
+ * @param {File} file - Chosen file
  */
-function hideQuickPresets() {
-  document.getElementById('quick-presets').classList.remove('active');
+async function handleImportFile(file) {
+  try {
+    const text = await file.text();
+    const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    pendingImport = validateBackup(isCsv ? csvToBackup(text) : JSON.parse(text));
+  } catch (e) {
+    pendingImport = null;
+    showStorageNotification('Import failed: ' + e.message);
+    return;
+  }
+
+  const { backup, skipped } = pendingImport;
+  let summary = `${backup.tasks.length} missions, ${backup.graveyard.length} graves, ` +
+    `${backup.stats.completedCount} done / ${backup.stats.expiredCount} lost.`;
+  if (skipped > 0) {
+    summary += ` ${skipped} invalid record${skipped === 1 ? '' : 's'} will be skipped.`;
+  }
+  document.getElementById('import-summary').textContent = summary;
+  document.getElementById('import-modal').classList.add('active');
+}
+
+function closeImportModal() {
+  document.getElementById('import-modal').classList.remove('active');
+  pendingImport = null;
 }
 
 /**
- * Add task with specific time preset (for rapid entry)
- * @param {number} mins - Minutes until deadline
+ * Apply the pending import
+ * @param {string} mode - 'merge' keeps local data and adds the backup;
+ *   'replace' swaps everything, settings included. Merged counters take
+ *   the larger value, so importing the same backup twice changes nothing.
  */
-function addQuickTask(mins) {
-  const input = document.getElementById('task-input');
-  const name = input.value.trim().slice(0, MAX_TASK_NAME_LENGTH);
-  
-  if (!name) {
-    // If no name, open modal with preset time selected
-    selectedMins = mins;
-    openModal();
-    updatePresetSelection(mins);
+function applyImport(mode) {
+  if (!pendingImport) return;
+  const { backup } = pendingImport;
+  const before = captureUndoState();
+  let changedSettings = [];
+
+  if (mode === 'replace') {
+    if (hfTask) exitHyperFocus();
+    tasks = backup.tasks;
+    graveyard = backup.graveyard;
+    completedCount = backup.stats.completedCount;
+    expiredCount = backup.stats.expiredCount;
+    deletedCount = backup.stats.deletedCount;
+    streak = backup.stats.streak;
+    bestStreak = Math.max(backup.stats.bestStreak, streak);
+    eventLog = backup.history.sort((a, b) => a.at - b.at).slice(-HISTORY_LIMIT);
+    changedSettings = Object.keys(backup.settings)
+      .filter(key => JSON.stringify(backup.settings[key]) !== JSON.stringify(settings[key]));
+    settings = { ...settings, ...backup.settings };
   } else {
-    // Create task directly with the preset time
-    const now = Date.now();
-    const newTask = {
-      id: now.toString(36) + Math.random().toString(36).slice(2, 6),
-      name: name,
-      deadline: now + mins * MS_PER_MINUTE,
-      created: now
-    };
-    
-    tasks.push(newTask);
-    renderAll();
-    closeModal();
-    showBurst('success');
-    triggerHaptic('success');
+    const existing = {};
+    tasks.concat(graveyard).forEach(r => {
+      existing[r.id] = JSON.stringify(r);
+    });
+
+    // Identical records are skipped; different records sharing an ID get a new one
+    const mergeRecords = records => records
+      .filter(r => existing[r.id] !== JSON.stringify(r))
+      .map(r => {
+        const record = r.id in existing ? { ...r, id: generateId() } : r;
+        existing[record.id] = JSON.stringify(record);
+        return record;
+      });
+
+    tasks = tasks.concat(mergeRecords(backup.tasks));
+    graveyard = graveyard.concat(mergeRecords(backup.graveyard));
+    // Counters can't say which records they came from; adding them would
+    // double-count on every re-import of the same backup
+    completedCount = Math.max(completedCount, backup.stats.completedCount);
+    expiredCount = Math.max(expiredCount, backup.stats.expiredCount);
+    deletedCount = Math.max(deletedCount, backup.stats.deletedCount);
+    streak = Math.max(streak, backup.stats.streak);
+    bestStreak = Math.max(bestStreak, backup.stats.bestStreak, streak);
+
+    // Events are immutable, so the same ID means the same event
+    const knownEvents = new Set(eventLog.map(e => e.id));
+    eventLog = eventLog
+      .concat(backup.history.filter(e => !knownEvents.has(e.id)))
+      .sort((a, b) => a.at - b.at)
+      .slice(-HISTORY_LIMIT);
   }
-  
-  hideQuickPresets();
+
+  closeImportModal();
+  closeSettings();
+  renderAll();
+  renderGraveyard();
+  updateStats();
+  saveState();
+  applySettings(changedSettings);
+  recordUndo('Imported backup', before);
+  showBurst('success');
+  triggerHaptic('success');
+  playSound('success');
+}
+
+// ==================== CALENDAR (ICS) ====================
+
+/*
+ * Active missions export as VTODOs (DUE) or VEVENTs (DTSTART) with a display
+ * alarm where the mission turns CRITICAL (see ics.js). Recurring missions
+ * carry an RRULE in floating local time, so the series keeps its clock time.
+ *
+ * Importing makes a mission of each upcoming event or to-do: its next start
+ * (or due time) is the deadline, the import time is `created`. Series whose
+ * RRULE fits a mission recurrence keep repeating; others import their next
+ * instance only. task.calendarUid remembers the source, so importing the same
+ * calendar again skips what is already there.
+ */
+
+const MAX_CALENDAR_IMPORT = 50; // Soonest first
+const CALENDAR_UID_SUFFIX = '@now-or-never';
+
+// Every occurrence of a series exports under one UID, so calendars update it in place
+function taskCalendarUid(task) {
+  const id = task.recurrence ? task.seriesId || task.id : task.id;
+  return task.calendarUid || id + CALENDAR_UID_SUFFIX;
 }
 
 /**
- * Update preset button selection in modal
- * @param {number} mins - Minutes to select
+ * Time left when a task turns CRITICAL, for its calendar alarm
+ * @param {object} task - Task
+ * @returns {number|null} ms, or null without a CRITICAL tier
  */
-function updatePresetSelection(mins) {
-  document.querySelectorAll('.time-preset').forEach(btn => {
-    btn.classList.toggle('selected', parseInt(btn.dataset.mins, 10) === mins);
-  });
-  selectedMins = mins;
+function criticalAlarmMs(task) {
+  const tier = getTiers().find(t => t.effect === 'CRITICAL');
+  const ms = tier ? tierThresholdMs(task, tier) : Infinity;
+  return Number.isFinite(ms) && ms > 0 ? ms : null;
 }
 
-// ==================== STORAGE HELPERS ====================
+/**
+ * RRULE value for a mission recurrence
+ * @param {object} rule - Normalized recurrence rule
+ * @returns {string}
+ */
+function recurrenceToRrule(rule) {
+  if (rule.type === 'daily') return 'FREQ=DAILY';
+  if (rule.type === 'hourly') return 'FREQ=HOURLY;INTERVAL=' + rule.hours;
+  const days = RECURRENCE_DAYS[rule.type] || rule.days;
+  return 'FREQ=WEEKLY;BYDAY=' + days.map(d => ICS_WEEKDAYS[d]).join(',');
+}
 
-function saveState() {
-  try {
-    localStorage.setItem(STORAGE_KEY_PREFIX + 'tasks', JSON.stringify(tasks));
-    localStorage.setItem(STORAGE_KEY_PREFIX + 'graveyard', JSON.stringify(graveyard));
-    localStorage.setItem(STORAGE_KEY_PREFIX + 'completed', completedCount.toString());
+/**
+ * Mission recurrence for a parsed RRULE, if one fits
+ * @param {object} rrule - Rule from readIcsItems()
+ * @param {number} startDay - Weekday of the first instance (0 = Sunday)
+ * @returns {object|null} Normalized rule; null for series that end or don't fit
+ */
+function rruleToRecurrence(rrule, startDay) {
+  if (rrule.count !== null || rrule.until !== null) return null;
+  if (rrule.byMonthDay.length > 0 || rrule.byMonth.length > 0) return null;
+  if (rrule.freq === 'HOURLY') return normalizeRecurrence({ type: 'hourly', hours: rrule.interval });
+  if (rrule.interval !== 1 || rrule.byDay.some(b => b.nth !== 0)) return null;
+  if (rrule.freq === 'DAILY' && rrule.byDay.length === 0) return { type: 'daily' };
+  if (rrule.freq !== 'DAILY' && rrule.freq !== 'WEEKLY') return null;
+
+  const rule = normalizeRecurrence({
+    type: 'weekly',
+    days: rrule.byDay.length > 0 ? rrule.byDay.map(b => b.day) : [startDay]
+  });
+  if (rule.days.length === 7) return { type: 'daily' };
+  if (rule.days.join() === RECURRENCE_DAYS.weekdays.join()) return { type: 'weekdays' };
+  return rule;
+}
+
+/**
+ * Download active missions as an .ics file
+ * @param {string} type - 'VTODO' or 'VEVENT'
+ */
+function exportIcs(type) {
+  if (tasks.length === 0) {
+    showStorageNotification('No active missions to export');
+    return;
+  }
+
+  const items = tasks.map(task => {
+    const rule = normalizeRecurrence(task.recurrence);
+    return {
+      uid: taskCalendarUid(task),
+      type: type,
+      summary: task.name,
+      description: hasSteps(task) ? task.steps.map(s => (s.done ? '[x] ' : '[ ] ') + s.text).join('\n') : '',
+      url: normalizeLink(task.link),
+      categories: task.tags,
+      time: task.deadline,
+      created: task.created,
+      floating: !!rule && rule.type !== 'hourly', // Hourly series are exact intervals
+      rrule: rule ? recurrenceToRrule(rule) : null,
+      alarm: criticalAlarmMs(task)
+    };
+  });
+  downloadFile(backupFilename('ics'), buildIcs(items, Date.now()), 'text/calendar');
+}
+
+/**
+ * Build a mission from an upcoming calendar item
+ * @param {object} item - Item from readIcsItems()
+ * @param {number} now - Import time
+ * @returns {object} Task
+ */
+function calendarItemToTask(item, now) {
+  const task = {
+    id: generateId(now),
+    name: (item.summary || 'Untitled event').slice(0, MAX_TASK_NAME_LENGTH),
+    deadline: item.deadline,
+    created: now
+  };
+  if (item.uid) {
+    task.calendarUid = item.uid;
+  }
+  const link = normalizeLink(item.url);
+  if (link) {
+    task.link = link;
+  }
+  const tags = parseTags(item.categories.map(c => c.replace(/\s+/g, '-')).join(' '));
+  if (tags.length > 0) {
+    task.tags = tags;
+  }
+  const recurrence = item.rrule ? rruleToRecurrence(item.rrule, item.startDay) : null;
+  if (recurrence) {
+    task.recurrence = recurrence;
+    task.seriesId = task.id;
+    task.occurrence = 1;
+  }
+  return task;
+}
+
+/**
+ * Create missions from the upcoming items of an .ics file
+ * @param {File} file - Chosen file
+ */
+async function handleIcsFile(file) {
+  const now = Date.now();
+  let items;
+  try {
+    items = readIcsItems(await file.text(), now);
+  } catch (e) {
+    showStorageNotification('Import failed: ' + e.message);
+    return;
+  }
+
+  const known = new Set(tasks.map(taskCalendarUid));
+  const imported = items
+    .filter(item => !item.uid || !known.has(item.uid))
+    .slice(0, MAX_CALENDAR_IMPORT)
+    .map(item => calendarItemToTask(item, now));
+  if (imported.length === 0) {
+    showStorageNotification(items.length === 0
+      ? 'No upcoming events in ' + file.name
+      : 'Every upcoming event is already a mission');
+    return;
+  }
+
+  const before = captureUndoState();
+  imported.forEach(task => {
+    tasks.push(task);
+    recordEvent('created', task);
+  });
+  closeSettings();
+  renderAll();
+  saveState();
+  recordUndo(imported.length === 1 ? 'Imported 1 mission' : `Imported ${imported.length} missions`, before);
+  showBurst('success');
+  triggerHaptic('success');
+  playSound('success');
+}
+
+// ==================== LONG-PRESS RAPID ENTRY ====================
+
+const LONG_PRESS_DURATION = 500; // 500ms
+
+/**
+ * Start long-press timer on New Mission button
+ */
+function startLongPress() {
+  const btn = document.getElementById('new-task-btn');
+  btn.classList.add('long-pressing');
+  
+  longPressTimer = setTimeout(() => {
+    // Haptic feedback for long-press recognition
+    triggerHaptic('success');
+    showQuickPresets();
+  }, LONG_PRESS_DURATION);
+}
+
+/**
+ * Cancel long-press timer
+ */
+function cancelLongPress() {
+  const btn = document.getElementById('new-task-btn');
+  btn.classList.remove('long-pressing');
+  
+  if (longPressTimer) {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  }
+}
+
+/**
+ * Show quick presets menu
+ */
+function showQuickPresets() {
+  document.getElementById('quick-presets').classList.add('active');
+}
+
+/**
+ * Hide quick presets menu
+ */
+function hideQuickPresets() {
+  document.getElementById('quick-presets').classList.remove('active');
+}
+
+/**
+ * Add task with specific time preset (for rapid entry)
+ * @param {number} mins - Minutes until deadline
+ * @param {object} [template=null] - Template to create from in one tap
+ */
+function addQuickTask(mins, template = null) {
+  if (template) {
+    // A template carries the name too, so it never needs the modal
+    const task = buildTemplateTask(template, Date.now());
+    if (task) createTask(task);
+    hideQuickPresets();
+    return;
+  }
+
+  const input = document.getElementById('task-input');
+  const name = input.value.trim();
+  
+  if (!name) {
+    // If no name, open modal with preset time selected
+    selectedMins = mins;
+    openModal();
+    updatePresetSelection(mins);
+  } else {
+    // Create task directly with the preset time, unless the name says otherwise
+    const now = Date.now();
+    const entry = resolveNewTask(input.value, '', mins, now);
+    if (!entry.name) return;
+
+    createTask({
+      id: generateId(now),
+      name: entry.name,
+      deadline: entry.deadline,
+      created: now
+    });
+    closeModal();
+  }
+  
+  hideQuickPresets();
+}
+
+/**
+ * Update preset button selection in modal
+ * @param {number} mins - Minutes to select
+ */
+function updatePresetSelection(mins) {
+  document.querySelectorAll('.time-preset').forEach(btn => {
+    btn.classList.toggle('selected', parseInt(btn.dataset.mins, 10) === mins);
+  });
+  selectedMins = mins;
+}
+
+// ==================== PRESETS & TEMPLATES ====================
+
+/*
+ * settings.presets    durations in minutes, in display order. The New
+ *                     Mission modal shows them all, the long-press menu the
+ *                     first QUICK_PRESET_COUNT.
+ * settings.templates  [{ id, name, mins, tags, steps }]. name is a pattern:
+ *                     {date}, {time} and {weekday} are filled in at launch,
+ *                     and a trailing "@..." sets the deadline as in the name
+ *                     field. Templates launch in one tap from the long-press
+ *                     menu or the command palette.
+ */
+
+const DEFAULT_PRESETS = [15, 30, 60, 120, 240, 480];
+const MAX_PRESETS = 8;
+const MAX_PRESET_MINS = 7 * 24 * 60;
+const QUICK_PRESET_COUNT = 3;
+const MAX_TEMPLATES = 12;
+
+/**
+ * Validate a preset list
+ * @param {*} list - Candidate durations
+ * @returns {number[]|null} Clean durations, or null if none are usable
+ */
+function normalizePresets(list) {
+  if (!Array.isArray(list)) return null;
+  const presets = [...new Set(list.map(mins => parseInt(mins, 10)))]
+    .filter(mins => mins >= 1 && mins <= MAX_PRESET_MINS)
+    .slice(0, MAX_PRESETS);
+  return presets.length > 0 ? presets : null;
+}
+
+function getPresets() {
+  return normalizePresets(settings.presets) || DEFAULT_PRESETS;
+}
+
+/**
+ * Validate a template
+ * @param {*} template - Candidate
+ * @returns {object|null} Clean template
+ */
+function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object') return null;
+  const name = String(template.name || '').trim().slice(0, MAX_TASK_NAME_LENGTH);
+  const mins = parseInt(template.mins, 10);
+  // The id goes into data-template-id unescaped
+  if (!name || !isRecordId(template.id) || !(mins >= 1 && mins <= MAX_PRESET_MINS)) return null;
+
+  return {
+    id: template.id,
+    name: name,
+    mins: mins,
+    tags: Array.isArray(template.tags) ? parseTags(template.tags.map(String).join(' ')) : [],
+    steps: (Array.isArray(template.steps) ? template.steps : [])
+      .map(step => String(step).trim().slice(0, MAX_TASK_NAME_LENGTH))
+      .filter(Boolean)
+      .slice(0, MAX_STEPS)
+  };
+}
+
+function getTemplates() {
+  const templates = Array.isArray(settings.templates) ? settings.templates : [];
+  return templates.map(normalizeTemplate).filter(Boolean).slice(0, MAX_TEMPLATES);
+}
+
+function findTemplate(id) {
+  return getTemplates().find(t => t.id === id) || null;
+}
+
+/**
+ * Fill in a template name pattern
+ * @param {string} pattern - e.g. "Standup notes {weekday} {date}"
+ * @param {number} now - Current timestamp
+ * @returns {string}
+ */
+function expandTemplateName(pattern, now) {
+  const date = new Date(now);
+  const values = {
+    date: date.toLocaleDateString([], { day: 'numeric', month: 'short' }),
+    time: date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+    weekday: date.toLocaleDateString([], { weekday: 'short' })
+  };
+  return pattern.replace(/\{(date|time|weekday)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * Build a mission from a template
+ * @param {object} template - Normalized template
+ * @param {number} now - Current timestamp
+ * @returns {object|null} Task, or null if the name leaves nothing to call it
+ */
+function buildTemplateTask(template, now) {
+  const entry = resolveNewTask(expandTemplateName(template.name, now), '', template.mins, now);
+  if (!entry.name) return null;
+
+  const task = {
+    id: generateId(now),
+    name: entry.name,
+    deadline: entry.deadline,
+    created: now
+  };
+  if (template.tags.length > 0) {
+    task.tags = template.tags;
+  }
+  const steps = parseSteps(template.steps.join('\n'), now);
+  if (steps.length > 0) {
+    task.steps = steps;
+  }
+  return task;
+}
+
+/**
+ * Render the preset buttons of the modal and the long-press menu, and the
+ * Default Time choices
+ */
+function renderPresetButtons() {
+  const presets = getPresets();
+
+  document.getElementById('time-presets').innerHTML = presets.map(mins =>
+    `<button type="button" class="time-preset${mins === selectedMins ? ' selected' : ''}" data-mins="${mins}">${formatPreset(mins)}</button>`
+  ).join('');
+
+  document.getElementById('quick-presets').innerHTML = getTemplates().map(t =>
+    `<button type="button" class="quick-preset-btn quick-template-btn" data-template-id="${t.id}" role="menuitem" aria-label="New ${escapeHtml(t.name)}, ${formatPreset(t.mins)}">${escapeHtml(t.name)}</button>`
+  ).concat(presets.slice(0, QUICK_PRESET_COUNT).map(mins =>
+    `<button type="button" class="quick-preset-btn" data-mins="${mins}" role="menuitem">${formatPreset(mins)}</button>`
+  )).join('');
+
+  // The default stays selectable even after its preset is removed
+  const choices = presets.includes(settings.defaultTime) ? presets : presets.concat(settings.defaultTime);
+  const select = document.getElementById('setting-default-time');
+  setSelectOptions(select, choices.map(mins => ({ value: String(mins), label: formatPreset(mins) })));
+  select.value = String(settings.defaultTime);
+}
+
+function renderPresetEditor() {
+  const presets = getPresets();
+  document.getElementById('preset-list').innerHTML = presets.map((mins, i) => `
+    <li class="tier-row" data-index="${i}">
+      <input type="number" class="text-input tier-value preset-mins" min="1" max="${MAX_PRESET_MINS}" value="${mins}" aria-label="Preset ${i + 1} minutes">
+      <span class="tier-label preset-label">min · ${formatPreset(mins)}</span>
+      <button type="button" class="preset-move" data-step="-1" aria-label="Move ${formatPreset(mins)} up"${i === 0 ? ' disabled' : ''}>↑</button>
+      <button type="button" class="preset-move" data-step="1" aria-label="Move ${formatPreset(mins)} down"${i === presets.length - 1 ? ' disabled' : ''}>↓</button>
+      ${presets.length > 1 ? `<button type="button" class="tier-remove" aria-label="Remove ${formatPreset(mins)}">×</button>` : ''}
+    </li>
+  `).join('');
+  document.getElementById('preset-add-btn').disabled = presets.length >= MAX_PRESETS;
+}
+
+/**
+ * Save the preset editor, or put it back if the edit is invalid
+ */
+function savePresetEditor() {
+  const presets = normalizePresets([...document.querySelectorAll('#preset-list .preset-mins')].map(input => input.value));
+  if (presets) {
+    updateSetting('presets', presets);
+  } else {
+    renderPresetEditor();
+  }
+}
+
+function movePreset(index, step) {
+  const presets = getPresets().slice();
+  const target = index + step;
+  if (target < 0 || target >= presets.length) return;
+  [presets[index], presets[target]] = [presets[target], presets[index]];
+  updateSetting('presets', presets);
+}
+
+function removePreset(index) {
+  const presets = getPresets().filter((mins, i) => i !== index);
+  if (presets.length > 0) {
+    updateSetting('presets', presets);
+  }
+}
+
+function addPreset() {
+  const input = document.getElementById('preset-mins-input');
+  const presets = normalizePresets(getPresets().concat(input.value));
+  if (!presets || presets.length === getPresets().length) return;
+
+  input.value = '';
+  updateSetting('presets', presets);
+}
+
+function renderTemplateEditor() {
+  const templates = getTemplates();
+  document.getElementById('template-list').innerHTML = templates.map(t => `
+    <li class="template-row" data-template-id="${t.id}">
+      <div class="tier-row">
+        <input type="text" class="text-input tier-name template-name" value="${escapeHtml(t.name)}" maxlength="${MAX_TASK_NAME_LENGTH}" aria-label="Template name pattern">
+        <input type="number" class="text-input tier-value template-mins" min="1" max="${MAX_PRESET_MINS}" value="${t.mins}" aria-label="${escapeHtml(t.name)} minutes">
+        <button type="button" class="tier-remove" aria-label="Remove template ${escapeHtml(t.name)}">×</button>
+      </div>
+      <input type="text" class="text-input template-tags" value="${escapeHtml(t.tags.map(tag => '#' + tag).join(' '))}" placeholder="#tags" aria-label="${escapeHtml(t.name)} tags">
+      <textarea class="text-input steps-input template-steps" rows="2" placeholder="One step per line" aria-label="${escapeHtml(t.name)} steps">${escapeHtml(t.steps.join('\n'))}</textarea>
+    </li>
+  `).join('');
+  document.getElementById('template-add-btn').disabled = templates.length >= MAX_TEMPLATES;
+}
+
+/**
+ * Save the template editor; rows that no longer validate keep their old values
+ */
+function saveTemplateEditor() {
+  const templates = [...document.querySelectorAll('#template-list .template-row')].map(row =>
+    normalizeTemplate({
+      id: row.dataset.templateId,
+      name: row.querySelector('.template-name').value,
+      mins: row.querySelector('.template-mins').value,
+      tags: parseTags(row.querySelector('.template-tags').value),
+      steps: row.querySelector('.template-steps').value.split('\n')
+    }) || findTemplate(row.dataset.templateId)
+  ).filter(Boolean);
+  updateSetting('templates', templates);
+}
+
+/**
+ * Add a template
+ * @param {object} [fields] - { name, mins, tags, steps }; a blank template by default
+ * @returns {boolean} Whether it was added
+ */
+function addTemplate(fields = { name: 'New mission {date}', mins: settings.defaultTime }) {
+  const templates = getTemplates();
+  const template = normalizeTemplate({ id: generateId(), ...fields });
+  if (!template || templates.length >= MAX_TEMPLATES) return false;
+
+  updateSetting('templates', templates.concat(template));
+  return true;
+}
+
+function removeTemplate(templateId) {
+  updateSetting('templates', getTemplates().filter(t => t.id !== templateId));
+}
+
+/**
+ * Save the New Mission form as a template. The name is kept as typed, so
+ * patterns and "@..." deadlines stay live; the duration is the chosen preset.
+ */
+function saveModalAsTemplate() {
+  const added = addTemplate({
+    name: document.getElementById('task-input').value,
+    mins: selectedMins,
+    tags: parseTags(document.getElementById('tags-input').value),
+    steps: document.getElementById('steps-input').value.split('\n')
+  });
+
+  if (added) {
+    showStorageNotification('Template saved. Long-press New Mission to use it.');
+  } else if (getTemplates().length >= MAX_TEMPLATES) {
+    showStorageNotification(`Up to ${MAX_TEMPLATES} templates. Remove one in Settings first.`);
+  } else {
+    document.getElementById('task-input').focus();
+  }
+}
+
+// ==================== STORAGE HELPERS ====================
+
+// 'localStorage' when IndexedDB is unavailable; 'none' when it failed after
+// migrating, so nothing can be saved without orphaning the stored missions
+let storageMode = 'indexeddb';
+let saveScheduled = false;
+let saveChain = Promise.resolve();
+
+/**
+ * Persist state. Calls in the same tick are coalesced into one transaction
+ * that only writes the records that changed (see storage.js).
+ */
+function saveState() {
+  queueSyncChanges();
+  queueBoardChanges();
+
+  if (saveScheduled) return;
+  saveScheduled = true;
+  Promise.resolve().then(() => {
+    saveScheduled = false;
+    saveChain = saveChain.then(persistState);
+  });
+}
+
+function getStateSnapshot() {
+  return {
+    tasks: tasks,
+    graveyard: graveyard,
+    history: eventLog,
+    meta: {
+      completedCount: completedCount,
+      expiredCount: expiredCount,
+      deletedCount: deletedCount,
+      streak: streak,
+      bestStreak: bestStreak,
+      focusSession: focusSession,
+      settings: settings
+    }
+  };
+}
+
+async function persistState() {
+  if (storageMode === 'none') return;
+  if (storageMode === 'localStorage') {
+    saveStateToLocalStorage();
+    return;
+  }
+
+  try {
+    await writeStoredState(getStateSnapshot());
+  } catch (e) {
+    console.warn('Failed to save state to IndexedDB:', e);
+    if (e && e.name === 'QuotaExceededError') {
+      showStorageNotification('Storage quota exceeded. Please delete some tasks or clear browser data.');
+    }
+    if (e && e.name === 'VersionError') {
+      showStorageNotification('A newer version of the app upgraded storage in another tab. Reload to keep saving.');
+    }
+  }
+}
+
+async function loadState() {
+  try {
+    // Opening decides the storage mode; failures after this are not fatal.
+    // An upgrade blocked by an older tab waits here until that tab lets go.
+    (await openStateDb(() => {
+      showStorageNotification('Close other NOW OR NEVER tabs to finish updating storage.');
+    })).close();
+  } catch (e) {
+    if (hasMigratedFromLocalStorage(STORAGE_KEY_PREFIX)) {
+      console.warn('[Storage] IndexedDB failed after migration:', e);
+      storageMode = 'none';
+      showStorageNotification('Saved missions could not be opened. Close other tabs and reload; changes here are not saved.');
+      return;
+    }
+    console.warn('[Storage] IndexedDB unavailable, using localStorage:', e);
+    storageMode = 'localStorage';
+    loadStateFromLocalStorage();
+    return;
+  }
+
+  try {
+    await migrateFromLocalStorage(STORAGE_KEY_PREFIX);
+    const stored = await readStoredState();
+
+    tasks = stored.tasks;
+    graveyard = stored.graveyard;
+    eventLog = stored.history;
+    completedCount = parseInt(stored.meta.completedCount, 10) || 0;
+    expiredCount = parseInt(stored.meta.expiredCount, 10) || 0;
+    deletedCount = parseInt(stored.meta.deletedCount, 10) || 0;
+    streak = parseInt(stored.meta.streak, 10) || 0;
+    bestStreak = Math.max(parseInt(stored.meta.bestStreak, 10) || 0, streak);
+    focusSession = normalizeFocusSession(stored.meta.focusSession);
+
+    if (stored.meta.settings) {
+      settings = { ...settings, ...normalizeSettings(stored.meta.settings) };
+      selectedMins = settings.defaultTime;
+    }
+
+    if (stored.quarantined > 0) {
+      showStorageNotification(stored.quarantined === 1
+        ? '1 saved record was unreadable and has been quarantined. See Settings.'
+        : `${stored.quarantined} saved records were unreadable and have been quarantined. See Settings.`);
+    }
+  } catch (e) {
+    console.warn('Failed to load state from IndexedDB:', e);
+    showStorageNotification('Saved missions could not be read. Nothing has been deleted.');
+  }
+
+  updateQuarantineUI();
+}
+
+// Fallback for browsers without IndexedDB (the pre-IndexedDB layout)
+function saveStateToLocalStorage() {
+  try {
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'tasks', JSON.stringify(tasks));
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'graveyard', JSON.stringify(graveyard));
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'completed', completedCount.toString());
     localStorage.setItem(STORAGE_KEY_PREFIX + 'expired', expiredCount.toString());
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'deleted', deletedCount.toString());
     localStorage.setItem(STORAGE_KEY_PREFIX + 'streak', streak.toString());
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'best-streak', bestStreak.toString());
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'history', JSON.stringify(eventLog));
+    localStorage.setItem(STORAGE_KEY_PREFIX + 'focus-session', JSON.stringify(focusSession));
     localStorage.setItem(STORAGE_KEY_PREFIX + 'settings', JSON.stringify(settings));
   } catch (e) {
     console.warn('Failed to save state to localStorage:', e);
@@ -331,40 +1697,34 @@ function saveState() {
   }
 }
 
-function loadState() {
+function loadStateFromLocalStorage() {
   try {
     const savedTasks = localStorage.getItem(STORAGE_KEY_PREFIX + 'tasks');
     if (savedTasks) {
-      tasks = JSON.parse(savedTasks);
-      tasks = tasks.filter(t =>
-        t &&
-        typeof t.id === 'string' &&
-        typeof t.name === 'string' &&
-        typeof t.deadline === 'number' &&
-        typeof t.created === 'number'
-      );
+      tasks = JSON.parse(savedTasks).map(normalizeTask).filter(Boolean);
     }
     
     const savedGraveyard = localStorage.getItem(STORAGE_KEY_PREFIX + 'graveyard');
     if (savedGraveyard) {
-      graveyard = JSON.parse(savedGraveyard);
-      graveyard = graveyard.filter(g =>
-        g &&
-        typeof g.id === 'string' &&
-        typeof g.name === 'string' &&
-        typeof g.expiredAt === 'number'
-      );
+      graveyard = JSON.parse(savedGraveyard).map(normalizeGrave).filter(Boolean);
     }
     
     completedCount = parseInt(localStorage.getItem(STORAGE_KEY_PREFIX + 'completed'), 10) || 0;
     expiredCount = parseInt(localStorage.getItem(STORAGE_KEY_PREFIX + 'expired'), 10) || 0;
+    deletedCount = parseInt(localStorage.getItem(STORAGE_KEY_PREFIX + 'deleted'), 10) || 0;
     streak = parseInt(localStorage.getItem(STORAGE_KEY_PREFIX + 'streak'), 10) || 0;
+    bestStreak = Math.max(parseInt(localStorage.getItem(STORAGE_KEY_PREFIX + 'best-streak'), 10) || 0, streak);
+
+    const savedHistory = localStorage.getItem(STORAGE_KEY_PREFIX + 'history');
+    if (savedHistory) {
+      eventLog = JSON.parse(savedHistory).map(normalizeEvent).filter(Boolean);
+    }
+    focusSession = normalizeFocusSession(JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + 'focus-session')));
     
     // Load settings
     const savedSettings = localStorage.getItem(STORAGE_KEY_PREFIX + 'settings');
     if (savedSettings) {
-      const parsed = JSON.parse(savedSettings);
-      settings = { ...settings, ...parsed };
+      settings = { ...settings, ...normalizeSettings(JSON.parse(savedSettings)) };
       selectedMins = settings.defaultTime;
     }
   } catch (e) {
@@ -373,19 +1733,68 @@ function loadState() {
     graveyard = [];
     completedCount = 0;
     expiredCount = 0;
+    deletedCount = 0;
     streak = 0;
+    bestStreak = 0;
+    eventLog = [];
   }
 }
 
-function showStorageNotification(message) {
-  const existing = document.querySelector('.storage-notification');
-  if (existing) existing.remove();
-  
-  const notification = document.createElement('div');
-  notification.className = 'storage-notification';
-  notification.textContent = message;
-  notification.setAttribute('role', 'alert');
-  notification.setAttribute('aria-live', 'assertive');
+/**
+ * Show or hide the quarantine row in settings
+ */
+async function updateQuarantineUI() {
+  if (storageMode !== 'indexeddb') return;
+
+  try {
+    const records = await readQuarantine();
+    document.getElementById('quarantine-item').style.display = records.length > 0 ? 'flex' : 'none';
+    document.getElementById('quarantine-desc').textContent = records.length === 1
+      ? '1 unreadable record held back'
+      : `${records.length} unreadable records held back`;
+  } catch (e) {
+    console.warn('Failed to read quarantine:', e);
+  }
+}
+
+async function exportQuarantine() {
+  const records = await readQuarantine();
+  downloadFile('now-or-never-quarantine.json', JSON.stringify(records, null, 2), 'application/json');
+}
+
+async function discardQuarantine() {
+  if (!confirm('Permanently discard the quarantined records?')) return;
+  await clearQuarantine();
+  updateQuarantineUI();
+}
+
+/**
+ * Offer content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function showStorageNotification(message) {
+  const existing = document.querySelector('.storage-notification');
+  if (existing) existing.remove();
+  
+  const notification = document.createElement('div');
+  notification.className = 'storage-notification';
+  notification.textContent = message;
+  notification.setAttribute('role', 'alert');
+  notification.setAttribute('aria-live', 'assertive');
   
   document.body.appendChild(notification);
   
@@ -404,13 +1813,233 @@ function escapeHtml(text) {
 
 // ==================== STATE MANAGEMENT ====================
 
-function getState(deadline) {
-  const remaining = deadline - Date.now();
-  if (remaining <= 0) return 'TERMINAL';
-  if (remaining <= MS_PER_MINUTE) return 'TERMINAL';
-  if (remaining <= CRITICAL_THRESHOLD) return 'CRITICAL';
-  if (remaining <= ELEVATED_THRESHOLD) return 'ELEVATED';
-  return 'STABLE';
+/**
+ * Generate a task ID
+ * @param {number} [now=Date.now()] - Timestamp the ID is based on
+ * @returns {string}
+ */
+function generateId(now = Date.now()) {
+  return now.toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+// ==================== URGENCY TIERS ====================
+
+/*
+ * Tiers run from least to most urgent. A mission is in the most urgent tier
+ * whose threshold it has crossed; the first tier is the base and has none.
+ *   id         stable key (data-tier on cards, reminder tags)
+ *   name       label on cards and in Hyper-Focus
+ *   color      #rrggbb, exposed to CSS as --tier-color/--tier-bg/--tier-border
+ *   effect     built-in behaviour, also the card class: 'STABLE', 'ELEVATED',
+ *              'CRITICAL' (pulse, haptic rhythm) or 'TERMINAL' (heartbeat)
+ *   threshold  { unit: 'min', value } minutes left, or
+ *              { unit: 'pct', value } percent of the mission's window left
+ * task.thresholds (tier id -> threshold) overrides thresholds per mission.
+ */
+const TIER_EFFECTS = ['STABLE', 'ELEVATED', 'CRITICAL', 'TERMINAL'];
+const TIER_BORDER_ALPHA = { STABLE: 0.4, ELEVATED: 0.5, CRITICAL: 0.6, TERMINAL: 0.9 };
+const MAX_TIERS = 8;
+const MAX_TIER_NAME_LENGTH = 16;
+const DEFAULT_TIERS = [
+  { id: 'STABLE', name: 'STABLE', color: '#00ffff', effect: 'STABLE', threshold: null },
+  { id: 'ELEVATED', name: 'ELEVATED', color: '#ff8800', effect: 'ELEVATED', threshold: { unit: 'min', value: 120 } },
+  { id: 'CRITICAL', name: 'CRITICAL', color: '#ff0044', effect: 'CRITICAL', threshold: { unit: 'min', value: 15 } },
+  { id: 'TERMINAL', name: 'TERMINAL', color: '#ff0044', effect: 'TERMINAL', threshold: { unit: 'min', value: 1 } }
+];
+
+// settings.tiers is validated once per change, not on every tick
+let tierSource;
+let tierCache = DEFAULT_TIERS;
+
+/**
+ * Validate a tier list (thresholds via normalizeThreshold() in records.js)
+ * @param {*} list - Candidate tiers
+ * @returns {Array|null} Clean tiers, or null if anything is invalid
+ */
+function normalizeTiers(list) {
+  if (!Array.isArray(list) || list.length < 2 || list.length > MAX_TIERS) return null;
+
+  const ids = new Set();
+  const tiers = [];
+  for (let i = 0; i < list.length; i++) {
+    const tier = list[i] || {};
+    const id = String(tier.id || '');
+    const name = String(tier.name || '').trim().slice(0, MAX_TIER_NAME_LENGTH);
+    const threshold = i === 0 ? null : normalizeThreshold(tier.threshold);
+
+    if (!/^[A-Za-z0-9_-]{1,32}$/.test(id) || ids.has(id) || !name) return null;
+    if (!/^#[0-9a-f]{6}$/i.test(tier.color) || !TIER_EFFECTS.includes(tier.effect)) return null;
+    if (i > 0 && !threshold) return null;
+
+    ids.add(id);
+    tiers.push({ id: id, name: name, color: tier.color.toLowerCase(), effect: tier.effect, threshold: threshold });
+  }
+  return tiers;
+}
+
+/**
+ * The configured tiers, falling back to the defaults if they are invalid
+ * @returns {Array}
+ */
+function getTiers() {
+  if (settings.tiers !== tierSource) {
+    tierSource = settings.tiers;
+    tierCache = normalizeTiers(settings.tiers) || DEFAULT_TIERS;
+  }
+  return tierCache;
+}
+
+function tierLevel(tierId) {
+  return getTiers().findIndex(t => t.id === tierId);
+}
+
+/**
+ * Current tier of a task (tier math lives in scheduler.js)
+ * @param {object} task - Task with deadline and created
+ * @param {number} [now=Date.now()] - Timestamp
+ * @param {Array} [tiers=getTiers()] - Tier list
+ * @returns {object} Tier
+ */
+function getTier(task, now = Date.now(), tiers = getTiers()) {
+  return tierAt(task, now, tiers);
+}
+
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+/**
+ * Expose a tier's colours to CSS on an element
+ * @param {HTMLElement} el - Element
+ * @param {object} tier - Tier
+ */
+function applyTierStyle(el, tier) {
+  el.dataset.tier = tier.id;
+  el.style.setProperty('--tier-color', tier.color);
+  el.style.setProperty('--tier-bg', hexToRgba(tier.color, 0.15));
+  el.style.setProperty('--tier-border', hexToRgba(tier.color, TIER_BORDER_ALPHA[tier.effect]));
+}
+
+/**
+ * Threshold inputs shared by the settings tier editor and the New Mission modal
+ * @param {object} threshold - Current threshold
+ * @param {string} label - Tier name for accessible labels
+ * @returns {string} HTML
+ */
+function renderThresholdFields(threshold, label) {
+  const escaped = escapeHtml(label);
+  return `
+    <input type="number" class="text-input tier-value" min="1" value="${threshold.value}" aria-label="${escaped} threshold">
+    <select class="setting-select tier-unit" aria-label="${escaped} threshold unit">
+      <option value="min"${threshold.unit === 'min' ? ' selected' : ''}>min left</option>
+      <option value="pct"${threshold.unit === 'pct' ? ' selected' : ''}>% left</option>
+    </select>
+  `;
+}
+
+function readThresholdFields(row) {
+  return {
+    unit: row.querySelector('.tier-unit').value,
+    value: Number(row.querySelector('.tier-value').value)
+  };
+}
+
+function renderTierEditor() {
+  const tiers = getTiers();
+  const list = document.getElementById('tier-list');
+
+  list.innerHTML = tiers.map((tier, i) => `
+    <li class="tier-row" data-tier-id="${tier.id}">
+      <input type="color" class="tier-color" value="${tier.color}" aria-label="${escapeHtml(tier.name)} colour">
+      <input type="text" class="text-input tier-name" value="${escapeHtml(tier.name)}" maxlength="${MAX_TIER_NAME_LENGTH}" aria-label="Tier name">
+      ${i === 0 ? '<span class="tier-base">Base</span>' : renderThresholdFields(tier.threshold, tier.name)}
+      <select class="setting-select tier-effect" aria-label="${escapeHtml(tier.name)} effect">
+        ${TIER_EFFECTS.map(effect => `<option value="${effect}"${effect === tier.effect ? ' selected' : ''}>${effect}</option>`).join('')}
+      </select>
+      ${i === 0 ? '' : `<button type="button" class="tier-remove" aria-label="Remove ${escapeHtml(tier.name)}">×</button>`}
+    </li>
+  `).join('');
+
+  document.getElementById('tier-add-btn').disabled = tiers.length >= MAX_TIERS;
+}
+
+/**
+ * Save the tier editor, or put it back if the edit is invalid
+ */
+function saveTierEditor() {
+  const tiers = normalizeTiers([...document.querySelectorAll('#tier-list .tier-row')].map(row => ({
+    id: row.dataset.tierId,
+    name: row.querySelector('.tier-name').value,
+    color: row.querySelector('.tier-color').value,
+    effect: row.querySelector('.tier-effect').value,
+    threshold: row.querySelector('.tier-value') ? readThresholdFields(row) : null
+  })));
+
+  if (tiers) {
+    updateSetting('tiers', tiers);
+  } else {
+    renderTierEditor();
+  }
+}
+
+function addTier() {
+  const tiers = getTiers();
+  if (tiers.length >= MAX_TIERS) return;
+
+  // Start from half the most urgent threshold, so the new tier is reachable
+  const last = tiers[tiers.length - 1];
+  updateSetting('tiers', tiers.concat({
+    id: generateId(),
+    name: 'TIER ' + (tiers.length + 1),
+    color: last.color,
+    effect: last.effect,
+    threshold: { unit: last.threshold.unit, value: Math.max(1, Math.round(last.threshold.value / 2)) }
+  }));
+}
+
+function removeTier(tierId) {
+  const tiers = getTiers().filter((tier, i) => i === 0 || tier.id !== tierId);
+  if (tiers.length >= 2) {
+    updateSetting('tiers', tiers);
+  }
+}
+
+/**
+ * Show per-mission threshold fields in the New Mission modal
+ */
+function renderUrgencyEditor() {
+  const list = document.getElementById('urgency-list');
+  if (document.getElementById('urgency-select').value !== 'custom') {
+    list.innerHTML = '';
+    return;
+  }
+
+  const tiers = getTiers().slice(1);
+  list.innerHTML = tiers.map(tier => `
+    <li class="tier-row" data-tier-id="${tier.id}">
+      <span class="tier-label">${escapeHtml(tier.name)}</span>
+      ${renderThresholdFields(tier.threshold, tier.name)}
+    </li>
+  `).join('');
+  list.querySelectorAll('.tier-label').forEach((label, i) => {
+    label.style.color = tiers[i].color;
+  });
+}
+
+/**
+ * Read per-mission thresholds from the New Mission modal
+ * @returns {object|null} tier id -> threshold, or null for the global tiers
+ */
+function readUrgencyInput() {
+  if (document.getElementById('urgency-select').value !== 'custom') return null;
+
+  const thresholds = {};
+  document.querySelectorAll('#urgency-list .tier-row').forEach(row => {
+    const threshold = normalizeThreshold(readThresholdFields(row));
+    if (threshold) thresholds[row.dataset.tierId] = threshold;
+  });
+  return Object.keys(thresholds).length > 0 ? thresholds : null;
 }
 
 function formatTime(deadline) {
@@ -425,12 +2054,25 @@ function formatTime(deadline) {
 }
 
 function formatGraveyardTime(expiredAt) {
-  const remaining = Math.max(0, GRAVEYARD_DURATION - (Date.now() - expiredAt));
-  const hours = Math.floor(remaining / MS_PER_HOUR);
+  const remaining = Math.max(0, getGraveyardDuration() - (Date.now() - expiredAt));
+  const days = Math.floor(remaining / (24 * MS_PER_HOUR));
+  const hours = Math.floor((remaining % (24 * MS_PER_HOUR)) / MS_PER_HOUR);
   const minutes = Math.floor((remaining % MS_PER_HOUR) / MS_PER_MINUTE);
+  if (days > 0) {
+    return `${days}d ${hours}h left`;
+  }
   return `${hours}h ${minutes}m left`;
 }
 
+/**
+ * Human label for the configured recovery window, e.g. "24-hour" or "7-day"
+ */
+function formatGraveyardWindow() {
+  const hours = settings.graveyardHours;
+  if (hours >= 48 && hours % 24 === 0) return `${hours / 24}-day`;
+  return `${hours}-hour`;
+}
+
 function getProgress(deadline, created) {
   const total = deadline - created;
   if (total <= 0) return 0;
@@ -440,162 +2082,1570 @@ function getProgress(deadline, created) {
 
 // ==================== AUTO-DELETE & GRAVEYARD ====================
 
+/**
+ * Configured graveyard retention window
+ * @returns {number} Window in milliseconds
+ */
+function getGraveyardDuration() {
+  const hours = Number(settings.graveyardHours);
+  return (hours > 0 ? hours : DEFAULT_GRAVEYARD_HOURS) * MS_PER_HOUR;
+}
+
+/**
+ * Decide whether a dying task is kept in the graveyard
+ * @param {string} cause - 'expired' or 'deleted'
+ * @returns {boolean} False means hard delete
+ */
+function shouldBury(cause) {
+  if (!settings.graveyard) return false;
+  if (cause === 'deleted') return settings.graveyardDeletes;
+  return true;
+}
+
 /**
  * Handle task expiration at T=0
- * Triggers shatter animation and migrates to graveyard
+ * Triggers shatter animation and migrates to graveyard (per graveyard policy)
  * @param {object} task - The expired task
+ * @param {string} [cause='expired'] - 'expired' at T=0, 'deleted' for manual deletes
  */
-function handleTaskExpiration(task) {
+function handleTaskExpiration(task, cause = 'expired') {
+  if (shatteringTasks.has(task.id)) return;
+  shatteringTasks.add(task.id);
+
+  // Credit the focused time before the outcome is recorded
+  if (focusSession && focusSession.taskId === task.id) {
+    stopFocusSession();
+  }
+  stopCriticalHaptic(task.id);
+
   // Trigger shatter animation
   const card = document.getElementById('task-' + task.id);
   if (card) {
     card.classList.add('shattering');
     showBurst('shatter');
     triggerHaptic('shatter');
+    playSound('shatter');
   }
   
   // Remove from active tasks after animation
   setTimeout(() => {
-    tasks = tasks.filter(t => t.id !== task.id);
+    shatteringTasks.delete(task.id);
+    if (!tasks.some(t => t.id === task.id)) return; // Undone or handled meanwhile
+
+    // Only the user's own deletes can be undone; an undone expiry would just expire again
+    const before = cause === 'deleted' ? captureUndoState() : null;
+    settleExpiration(task, cause, Date.now());
     
-    // Add to graveyard
+    updateStats();
+    renderAll();
+    renderGraveyard();
+    saveState();
+    if (before) {
+      recordUndo('Deleted ' + task.name, before);
+    }
+  }, 300); // Match shatter animation duration
+}
+
+/**
+ * Move a lost task out of the active list: bury it (per policy), count it
+ * and let a recurring series move on. No rendering or saving.
+ * @param {object} task - The lost task
+ * @param {string} cause - 'expired' or 'deleted'
+ * @param {number} now - Current timestamp
+ */
+function settleExpiration(task, cause, now) {
+  tasks = tasks.filter(t => t.id !== task.id);
+  noteBoardAction(task, cause);
+
+  // Add to graveyard unless the policy says hard delete
+  if (shouldBury(cause)) {
     const graveTask = {
       id: task.id,
       name: task.name,
       deadline: task.deadline,
       created: task.created,
-      expiredAt: Date.now()
+      expiredAt: now,
+      cause: cause
     };
+    if (task.recurrence) {
+      graveTask.recurrence = task.recurrence;
+      graveTask.occurrence = task.occurrence;
+    }
+    if (hasSteps(task)) {
+      graveTask.steps = task.steps;
+    }
+    if (task.project) graveTask.project = task.project;
+    if (task.tags) graveTask.tags = task.tags;
+    if (task.link) graveTask.link = task.link;
+    if (task.thresholds) graveTask.thresholds = task.thresholds;
+    if (task.board) graveTask.board = task.board;
     graveyard.push(graveTask);
-    
-    // Update stats
+  }
+
+  // Update stats; only the clock breaks a streak
+  recordEvent(cause, task);
+  if (cause === 'expired') {
     expiredCount++;
     streak = 0;
-    
-    updateStats();
-    renderAll();
+  } else {
+    deletedCount++;
+  }
+
+  // A lost occurrence still makes way for the next; deleting ends the series
+  if (task.recurrence && cause === 'expired') {
+    spawnNextOccurrence(task, now);
+  }
+}
+
+/**
+ * Settle missions that ran out while the page slept or was hidden, in one
+ * render and one save, without a shatter animation per mission
+ * @param {Array} due - Tasks past their deadline
+ * @param {number} now - Current timestamp
+ */
+function catchUpExpired(due, now) {
+  due.forEach(task => {
+    if (focusSession && focusSession.taskId === task.id) {
+      stopFocusSession();
+    }
+    stopCriticalHaptic(task.id);
+    settleExpiration(task, 'expired', now);
+  });
+  shatteredWhileAway += due.length;
+
+  updateStats();
+  renderAll();
+  renderGraveyard();
+  saveState();
+  if (!document.hidden) {
+    showAwaySummary();
+  }
+}
+
+/**
+ * Tell the user what shattered while they were away, once
+ */
+function showAwaySummary() {
+  const summary = formatAwaySummary(shatteredWhileAway);
+  if (!summary) return;
+
+  showStorageNotification(summary);
+  triggerHaptic('failure');
+  shatteredWhileAway = 0;
+}
+
+/**
+ * Check for graveyard items that have exceeded the recovery window
+ * @param {number} [now=clock.now()] - Current timestamp
+ */
+function checkGraveyardExpiration(now = clock.now()) {
+  const duration = getGraveyardDuration();
+  const expiredGraves = graveyard.filter(g => 
+    (now - g.expiredAt) >= duration
+  );
+  
+  if (expiredGraves.length > 0) {
+    graveyard = graveyard.filter(g => 
+      (now - g.expiredAt) < duration
+    );
     renderGraveyard();
     saveState();
-  }, 300); // Match shatter animation duration
+  }
+}
+
+/**
+ * Resurrect a task from the graveyard
+ * @param {string} graveId - The grave task ID
+ */
+function resurrectTask(graveId) {
+  const grave = graveyard.find(g => g.id === graveId);
+  if (!grave) return;
+  
+  // Create new task with same duration offset. It is one-shot: the series
+  // already moved on to its next occurrence.
+  const originalDuration = grave.deadline - grave.created;
+  const now = Date.now();
+  
+  const resurrectedTask = {
+    id: generateId(now),
+    name: grave.name,
+    deadline: now + originalDuration,
+    created: now
+  };
+  if (hasSteps(grave)) {
+    resurrectedTask.steps = grave.steps; // Work done survives death
+  }
+  if (grave.project) resurrectedTask.project = grave.project;
+  if (grave.tags) resurrectedTask.tags = grave.tags;
+  if (grave.link) resurrectedTask.link = grave.link;
+  if (grave.thresholds) resurrectedTask.thresholds = grave.thresholds;
+  if (grave.board) resurrectedTask.board = grave.board;
+  noteBoardAction(resurrectedTask, 'resurrected', { fromId: grave.id });
+  const before = captureUndoState();
+  
+  // Remove from graveyard
+  graveyard = graveyard.filter(g => g.id !== graveId);
+  
+  // Add to active tasks
+  tasks.push(resurrectedTask);
+  recordEvent('resurrected', resurrectedTask, { fromId: grave.id });
+  
+  // Visual feedback
+  triggerHaptic('success');
+  playSound('success');
+  showBurst('success');
+  
+  renderAll();
+  renderGraveyard();
+  saveState();
+  recordUndo('Resurrected ' + grave.name, before);
+}
+
+/**
+ * Permanently delete a grave task
+ * @param {string} graveId - The grave task ID
+ */
+function permanentlyDeleteGrave(graveId) {
+  const grave = graveyard.find(g => g.id === graveId);
+  if (!grave) return;
+
+  const before = captureUndoState();
+  graveyard = graveyard.filter(g => g.id !== graveId);
+  renderGraveyard();
+  saveState();
+  recordUndo('Discarded ' + grave.name, before);
+}
+
+// ==================== DEADLINE REMINDERS ====================
+
+let reminderSnoozes = {}; // taskId -> timestamp of the snoozed re-reminder
+let scheduledReminders = null; // tag -> { at, signature }, see diffReminders(); null until the first run
+let reminderUpdates = Promise.resolve(); // Notification Trigger updates, one at a time
+const reminderTimers = createReminderTimers(clock, entry => fireReminder(entry));
+
+/**
+ * Build title and options for a reminder notification
+ * @param {object} entry - Reminder entry from buildReminderSchedule() (scheduler.js)
+ * @returns {{title: string, options: object}}
+ */
+function buildReminderNotification(entry) {
+  const minsLeft = Math.max(1, Math.round((entry.deadline - entry.at) / MS_PER_MINUTE));
+  const title = entry.effect === 'TERMINAL'
+    ? 'About to shatter'
+    : `Mission ${entry.state}`;
+
+  return {
+    title: title,
+    options: {
+      body: `${entry.name} — ${minsLeft} min left`,
+      tag: entry.tag,
+      renotify: true,
+      icon: '/icons/icon.svg',
+      badge: '/icons/icon.svg',
+      timestamp: entry.at,
+      vibrate: [30, 100, 30, 100, 30],
+      data: {
+        taskId: entry.taskId,
+        url: '/?action=focus&id=' + encodeURIComponent(entry.taskId)
+      },
+      actions: [
+        { action: 'view', title: 'Focus' },
+        { action: 'dismiss', title: 'Snooze 5m' }
+      ]
+    }
+  };
+}
+
+/**
+ * Whether reminders are enabled and allowed
+ */
+function canShowReminders() {
+  return settings.notifications &&
+    'Notification' in window &&
+    Notification.permission === 'granted';
+}
+
+/**
+ * Notification Triggers let the platform fire reminders with the app closed
+ */
+function supportsNotificationTriggers() {
+  return 'TimestampTrigger' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Bring scheduled reminders in line with the active tasks. renderAll() calls
+ * this after every change; only reminders whose time or text changed are
+ * touched.
+ */
+function scheduleReminders() {
+  // Forget snoozes of tasks that are gone
+  Object.keys(reminderSnoozes).forEach(taskId => {
+    if (!tasks.some(t => t.id === taskId)) delete reminderSnoozes[taskId];
+  });
+
+  const enabled = canShowReminders();
+  const now = clock.now();
+  const schedule = enabled
+    ? buildReminderSchedule(tasks, now, reminderSnoozes, getTiers())
+      .filter(entry => entry.at - now <= MAX_TIMER_DELAY)
+    : [];
+
+  // Disabled means an empty schedule, so pending reminders get cancelled
+  const changes = diffReminders(scheduledReminders, schedule, now);
+  scheduledReminders = changes.scheduled;
+  if (!changes.reset && changes.added.length === 0 && changes.removed.length === 0) return;
+
+  if (supportsNotificationTriggers()) {
+    // Queued, so an older update can never land after a newer one
+    reminderUpdates = reminderUpdates.then(() => scheduleTriggeredReminders(changes));
+    return;
+  }
+
+  // Fallback: page timers, which keep running (throttled) while the tab is hidden
+  reminderTimers.apply(changes);
+}
+
+/**
+ * Hand reminder changes to the platform via Notification Triggers
+ * @param {object} changes - diffReminders() result
+ */
+async function scheduleTriggeredReminders(changes) {
+  try {
+    const registration = await navigator.serviceWorker.ready;
+
+    // Cancel reminders that are scheduled but not shown yet; on the first
+    // run that is everything an earlier page left behind
+    const cancelled = new Set(changes.removed);
+    const pending = await registration.getNotifications({ includeTriggered: true });
+    pending
+      .filter(n => n.tag.startsWith(REMINDER_TAG_PREFIX) && n.timestamp > clock.now())
+      .filter(n => changes.reset || cancelled.has(n.tag))
+      .forEach(n => n.close());
+
+    // A changed reminder keeps its tag, so showing it replaces the old one
+    await Promise.all(changes.added.map(entry => {
+      const { title, options } = buildReminderNotification(entry);
+      options.showTrigger = new TimestampTrigger(entry.at);
+      return registration.showNotification(title, options);
+    }));
+  } catch (err) {
+    console.warn('[Reminders] Failed to schedule:', err.message);
+    scheduledReminders = null; // Start over on the next change
+  }
+}
+
+/**
+ * Fire a reminder from a page timer
+ * @param {object} entry - Reminder entry
+ */
+function fireReminder(entry) {
+  if (entry.snoozed) delete reminderSnoozes[entry.taskId];
+  if (!tasks.some(t => t.id === entry.taskId)) return; // Settled while the timer was due
+
+  // The cards already say it while the app is on screen
+  if (document.visibilityState === 'visible') return;
+
+  showReminder(entry);
+}
+
+/**
+ * Show a reminder, replacing earlier ones for the same task
+ * @param {object} entry - Reminder entry
+ */
+async function showReminder(entry) {
+  const { title, options } = buildReminderNotification(entry);
+
+  try {
+    if (!('serviceWorker' in navigator)) {
+      // Page notifications cannot carry actions
+      delete options.actions;
+      new Notification(title, options);
+      return;
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const shown = await registration.getNotifications();
+    shown
+      .filter(n => n.data && n.data.taskId === entry.taskId)
+      .forEach(n => n.close());
+    await registration.showNotification(title, options);
+  } catch (err) {
+    console.warn('[Reminders] Failed to show:', err.message);
+  }
+}
+
+/**
+ * Snooze a task's reminder (the "dismiss" notification action)
+ * @param {string} taskId - Task ID
+ */
+function snoozeReminder(taskId) {
+  if (!tasks.some(t => t.id === taskId)) return;
+  reminderSnoozes[taskId] = clock.now() + REMINDER_SNOOZE;
+  scheduleReminders();
+}
+
+/**
+ * Turn reminders on or off from the settings toggle, asking for permission first
+ * @param {HTMLInputElement} checkbox - The settings toggle
+ */
+async function toggleReminders(checkbox) {
+  if (!checkbox.checked) {
+    updateSetting('notifications', false);
+    return;
+  }
+
+  if (!('Notification' in window)) {
+    checkbox.checked = false;
+    showStorageNotification('Notifications are not supported on this device.');
+    return;
+  }
+
+  let permission = Notification.permission;
+  if (permission === 'default') {
+    permission = await Notification.requestPermission();
+  }
+
+  if (permission !== 'granted') {
+    checkbox.checked = false;
+    updateSetting('notifications', false);
+    showStorageNotification('Notifications are blocked for this site.');
+    return;
+  }
+
+  updateSetting('notifications', true);
+}
+
+// ==================== SYNC ====================
+
+let syncState = {}; // taskId -> { signature, rev, deleted } as last synced or queued
+let syncInProgress = false;
+let syncIntervalId = null;
+
+/**
+ * Task content without its revision, used to detect local edits
+ * @param {object} task - Task
+ * @returns {string}
+ */
+function taskSignature(task) {
+  const { rev, ...content } = task;
+  return JSON.stringify(content);
+}
+
+/**
+ * Treat the current tasks as already synced (after load or enabling sync)
+ */
+function resetSyncState() {
+  syncState = {};
+  tasks.forEach(t => {
+    if (!t.rev) t.rev = 1;
+    syncState[t.id] = { signature: taskSignature(t), rev: t.rev };
+  });
+}
+
+/**
+ * Diff tasks against the last known sync state, bumping revisions of edited
+ * tasks and emitting tombstones for removed ones
+ * @returns {Array} Changes for the outbox
+ */
+function collectTaskChanges() {
+  const changes = [];
+  const present = {};
+
+  tasks.forEach(task => {
+    present[task.id] = true;
+    const known = syncState[task.id];
+    const signature = taskSignature(task);
+    if (known && !known.deleted && known.signature === signature) return;
+
+    if (!task.rev) task.rev = 1;
+    if (known && task.rev <= known.rev) task.rev = known.rev + 1;
+
+    syncState[task.id] = { signature: signature, rev: task.rev };
+    changes.push({ op: 'put', id: task.id, rev: task.rev, task: { ...task } });
+  });
+
+  Object.keys(syncState).forEach(id => {
+    const known = syncState[id];
+    if (present[id] || known.deleted) return;
+    syncState[id] = { rev: known.rev + 1, deleted: true };
+    changes.push({ op: 'delete', id: id, rev: known.rev + 1 });
+  });
+
+  return changes;
+}
+
+/**
+ * Queue local edits for sync (called on every save)
+ */
+function queueSyncChanges() {
+  const changes = collectTaskChanges();
+  if (!settings.syncEnabled || changes.length === 0 || !('indexedDB' in window)) return;
+
+  queueChanges(changes)
+    .then(() => {
+      if (navigator.onLine) {
+        syncNow();
+      } else {
+        registerBackgroundSync();
+        setSyncStatus('Offline: changes queued');
+      }
+    })
+    .catch(err => console.warn('[Sync] Failed to queue changes:', err.message));
+}
+
+/**
+ * Ask the service worker to flush the outbox once connectivity returns
+ */
+function registerBackgroundSync() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => {
+      if (registration.sync) return registration.sync.register(SYNC_TAG);
+    })
+    .catch(err => console.warn('[Sync] Background sync unavailable:', err.message));
+}
+
+/**
+ * Apply changes from the server, keeping local changes that win the conflict
+ * @param {Array} changes - Remote changes
+ * @returns {boolean} Whether any local task changed
+ */
+function applyRemoteChanges(changes) {
+  let changed = false;
+
+  changes.filter(isValidChange).forEach(remote => {
+    const local = tasks.find(t => t.id === remote.id);
+    const known = syncState[remote.id];
+    let localChange = null;
+    if (local) {
+      localChange = { op: 'put', id: local.id, rev: local.rev || 1, task: local };
+    } else if (known && known.deleted) {
+      localChange = { op: 'delete', id: remote.id, rev: known.rev };
+    }
+
+    if (resolveChangeConflict(localChange, remote) !== remote) return;
+
+    if (remote.op === 'delete') {
+      syncState[remote.id] = { rev: remote.rev, deleted: true };
+      if (local) {
+        tasks = tasks.filter(t => t.id !== remote.id);
+        if (hfTask && hfTask.id === remote.id) exitHyperFocus();
+        changed = true;
+      }
+      return;
+    }
+
+    const task = { ...normalizeTask(remote.task), rev: remote.rev };
+    syncState[task.id] = { signature: taskSignature(task), rev: task.rev };
+    if (local) {
+      tasks = tasks.map(t => (t.id === task.id ? task : t));
+      if (hfTask && hfTask.id === task.id) hfTask = task;
+    } else {
+      tasks.push(task);
+    }
+    changed = true;
+  });
+
+  return changed;
+}
+
+/**
+ * Pull remote changes (plus server winners left by a background flush)
+ */
+async function pullChanges() {
+  const config = { backend: settings.syncBackend, url: settings.syncUrl };
+  const cursor = (await getSyncMeta('cursor')) || 0;
+  const result = await createSyncBackend(config).pull(cursor);
+  const inbox = await takeSyncInbox();
+
+  if (applyRemoteChanges(inbox.concat(result.changes || []))) {
+    renderAll();
+    saveState();
+  }
+  await setSyncMeta('cursor', result.cursor || cursor);
+}
+
+/**
+ * Push queued changes, then pull
+ */
+async function syncNow() {
+  if (!settings.syncEnabled || !settings.syncUrl || syncInProgress) return;
+  if (!('indexedDB' in window)) return;
+
+  syncInProgress = true;
+  setSyncStatus('Syncing…');
+  try {
+    await flushOutbox();
+    await pullChanges();
+    setSyncStatus('Synced at ' + new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+  } catch (err) {
+    console.warn('[Sync] Failed:', err.message);
+    registerBackgroundSync();
+    setSyncStatus('Offline: changes queued');
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Store the sync config where the service worker can read it, and start or
+ * stop the periodic pull
+ * @param {boolean} [uploadAll=false] - Queue every current task (sync was just enabled)
+ */
+function configureSync(uploadAll = false) {
+  if (!('indexedDB' in window)) return;
+
+  const config = {
+    enabled: settings.syncEnabled,
+    backend: settings.syncBackend,
+    url: settings.syncUrl
+  };
+
+  setSyncMeta('config', config)
+    .then(() => {
+      if (uploadAll) {
+        syncState = {};
+        queueSyncChanges();
+      } else {
+        syncNow();
+      }
+    })
+    .catch(err => console.warn('[Sync] Failed to store config:', err.message));
+
+  if (syncIntervalId) {
+    clearInterval(syncIntervalId);
+    syncIntervalId = null;
+  }
+  if (settings.syncEnabled) {
+    syncIntervalId = setInterval(() => {
+      if (document.visibilityState === 'visible') syncNow();
+    }, SYNC_INTERVAL);
+  } else {
+    setSyncStatus('Off');
+  }
+}
+
+function setSyncStatus(text) {
+  const el = document.getElementById('sync-status');
+  if (el) el.textContent = text;
+}
+
+// ==================== SHARED BOARDS ====================
+
+/*
+ * A board is a mission list shared with teammates through a relay
+ * (tools/relay-server.js). Only missions marked as shared (task.board) go to
+ * the relay. Changes use the sync.js format, so conflicts resolve the same
+ * way on every member and on the relay.
+ *
+ * Client -> relay:
+ *   { type: 'hello', board, member: { id, name }, since }
+ *   { type: 'change', change }             change: { op, id, rev, task?, name?, action, fromId? }
+ *   { type: 'presence', focus }            focus: id of the Hyper-Focus mission, or null
+ * Relay -> client:
+ *   { type: 'welcome', cursor, changes }   latest change per mission since `since`
+ *   { type: 'change', cursor, change }     change.by = { id, name }, stamped by the relay
+ *   { type: 'presence', members }          [{ id, name, focus }]
+ *
+ * action says what happened: 'created', 'claimed', 'released', 'completed',
+ * 'expired', 'deleted', 'resurrected' (fromId = grave id), 'extended' or
+ * 'updated'. An 'expired' delete runs handleTaskExpiration() on every member,
+ * so the mission shatters and is buried everywhere, not only where it ran out.
+ */
+
+const BOARD_RECONNECT_MIN = MS_PER_SECOND;
+const BOARD_RECONNECT_MAX = 30 * MS_PER_SECOND;
+const BOARD_ACTIVITY_LIMIT = 20;
+const BOARD_ACTIVITY_SHOWN = 5;
+const BOARD_ACTION_VERBS = {
+  created: 'added',
+  claimed: 'claimed',
+  released: 'released',
+  completed: 'completed',
+  expired: 'lost',
+  deleted: 'deleted',
+  resurrected: 'resurrected',
+  extended: 'extended',
+  updated: 'updated'
+};
+
+let boardSocket = null;
+let boardConnected = false;
+let boardCursor = 0;
+let boardState = {};   // taskId -> { signature, rev, deleted } as last sent or received
+let boardActions = {}; // taskId -> { action, fromId } for the next outgoing change
+let boardMembers = [];
+let boardActivity = []; // Newest first
+let boardReconnectTimer = null;
+let boardReconnectDelay = BOARD_RECONNECT_MIN;
+
+/**
+ * Whether a task belongs to the configured board
+ * @param {object} task - Task
+ * @returns {boolean}
+ */
+function isBoardTask(task) {
+  return !!task.board && !!settings.relayUrl && task.board === settings.boardId;
+}
+
+/**
+ * This member, as announced to the relay
+ * @returns {{id: string, name: string}}
+ */
+function getMember() {
+  if (!settings.memberId) {
+    settings.memberId = generateId();
+    saveState();
+  }
+  return { id: settings.memberId, name: settings.memberName || 'Anonymous' };
+}
+
+/**
+ * Say why a board task is about to change; sent with its next change
+ * @param {object} task - Task
+ * @param {string} action - See the protocol above
+ * @param {object} [extra] - e.g. { fromId }
+ */
+function noteBoardAction(task, action, extra) {
+  if (!task.board) return;
+  boardActions[task.id] = { action: action, ...extra };
+}
+
+/**
+ * Diff board tasks against what the relay last saw, like collectTaskChanges()
+ * @returns {Array} Changes to send
+ */
+function collectBoardChanges() {
+  const changes = [];
+  const present = {};
+
+  tasks.filter(isBoardTask).forEach(task => {
+    present[task.id] = true;
+    const known = boardState[task.id];
+    const signature = taskSignature(task);
+    if (known && !known.deleted && known.signature === signature) return;
+
+    if (!task.rev) task.rev = 1;
+    if (known && task.rev <= known.rev) task.rev = known.rev + 1;
+
+    const note = boardActions[task.id] || { action: known && !known.deleted ? 'updated' : 'created' };
+    delete boardActions[task.id];
+    boardState[task.id] = { signature: signature, rev: task.rev, name: task.name };
+    changes.push({ op: 'put', id: task.id, rev: task.rev, task: { ...task }, ...note });
+  });
+
+  Object.keys(boardState).forEach(id => {
+    const known = boardState[id];
+    if (present[id] || known.deleted) return;
+    const note = boardActions[id] || { action: 'deleted' };
+    delete boardActions[id];
+    boardState[id] = { rev: known.rev + 1, deleted: true };
+    changes.push({ op: 'delete', id: id, rev: known.rev + 1, name: known.name, ...note });
+  });
+
+  return changes;
+}
+
+/**
+ * Send local board edits to the relay (called on every save). While
+ * disconnected they wait in the diff and go out after the next welcome.
+ */
+function queueBoardChanges() {
+  if (!boardConnected) return;
+  collectBoardChanges().forEach(change => {
+    boardSocket.send(JSON.stringify({ type: 'change', change: change }));
+  });
+}
+
+/**
+ * Connect to the configured relay, or disconnect when it was cleared
+ * @param {boolean} [reset=false] - The relay or board changed; forget what it saw
+ */
+function connectBoard(reset = false) {
+  clearTimeout(boardReconnectTimer);
+  boardReconnectTimer = null;
+  if (boardSocket) {
+    boardSocket.onclose = null;
+    boardSocket.close();
+    boardSocket = null;
+  }
+  boardConnected = false;
+  if (reset) {
+    boardCursor = 0;
+    boardState = {};
+    boardActions = {};
+    boardMembers = [];
+    boardActivity = [];
+  }
+
+  if (!settings.relayUrl || !settings.boardId || !('WebSocket' in window)) {
+    renderBoardPanel();
+    return;
+  }
+
+  let socket;
+  try {
+    socket = new WebSocket(settings.relayUrl);
+  } catch (err) {
+    console.warn('[Board] Invalid relay URL:', err.message);
+    renderBoardPanel();
+    return;
+  }
+  boardSocket = socket;
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({
+      type: 'hello',
+      board: settings.boardId,
+      member: getMember(),
+      since: boardCursor
+    }));
+  };
+  socket.onmessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (err) {
+      return;
+    }
+    handleBoardMessage(message);
+  };
+  socket.onclose = () => {
+    boardSocket = null;
+    boardConnected = false;
+    boardMembers = [];
+    renderBoardPanel();
+    renderAll();
+    boardReconnectTimer = setTimeout(() => connectBoard(), boardReconnectDelay);
+    boardReconnectDelay = Math.min(boardReconnectDelay * 2, BOARD_RECONNECT_MAX);
+  };
+  renderBoardPanel();
+}
+
+/**
+ * Handle a message from the relay
+ * @param {object} message - Parsed message
+ */
+function handleBoardMessage(message) {
+  if (!message) return;
+
+  if (message.type === 'welcome') {
+    boardConnected = true;
+    boardReconnectDelay = BOARD_RECONNECT_MIN;
+    if ((message.cursor || 0) < boardCursor) {
+      boardState = {}; // The relay restarted empty; offer it everything again
+    }
+    boardCursor = message.cursor || 0;
+    applyBoardChanges(message.changes || [], false);
+    queueBoardChanges(); // Whatever changed while offline, or what a fresh relay lacks
+    sendBoardPresence();
+  } else if (message.type === 'change') {
+    boardCursor = Math.max(boardCursor, message.cursor || 0);
+    applyBoardChanges([message.change], true);
+  } else if (message.type === 'presence') {
+    boardMembers = Array.isArray(message.members) ? message.members : [];
+    renderAll();
+  }
+  renderBoardPanel();
+}
+
+/**
+ * Apply board changes from the relay, keeping local changes that win
+ * @param {Array} changes - Remote changes
+ * @param {boolean} live - Broadcast as it happened (logged), not a welcome replay
+ */
+function applyBoardChanges(changes, live) {
+  let changed = false;
+  let graveChanged = false;
+
+  changes.filter(isValidChange).forEach(remote => {
+    if (remote.op === 'put' && remote.task.board !== settings.boardId) return;
+
+    const local = tasks.find(t => t.id === remote.id);
+    const known = boardState[remote.id];
+    if (live) logBoardActivity(remote, local);
+
+    // The relay echoes our own changes back
+    if (local && remote.op === 'put' && remote.rev === (local.rev || 1) &&
+        taskSignature(remote.task) === taskSignature(local)) {
+      boardState[local.id] = { signature: taskSignature(local), rev: remote.rev, name: local.name };
+      return;
+    }
+
+    let localChange = null;
+    if (local) {
+      localChange = { op: 'put', id: local.id, rev: local.rev || 1, task: local };
+    } else if (known && known.deleted) {
+      localChange = { op: 'delete', id: remote.id, rev: known.rev };
+    }
+    if (localChange && resolveChangeConflict(localChange, remote) !== remote) return;
+
+    if (remote.op === 'delete') {
+      boardState[remote.id] = { rev: remote.rev, deleted: true };
+      if (!local) return;
+
+      if (remote.action === 'expired') {
+        handleTaskExpiration(local, 'expired'); // Renders and saves when settled
+        return;
+      }
+      if (focusSession && focusSession.taskId === local.id) stopFocusSession();
+      if (hfTask && hfTask.id === local.id) exitHyperFocus();
+      stopCriticalHaptic(local.id);
+      tasks = tasks.filter(t => t.id !== local.id);
+      changed = true;
+      return;
+    }
+
+    const task = { ...normalizeTask(remote.task), rev: remote.rev };
+    boardState[task.id] = { signature: taskSignature(task), rev: task.rev, name: task.name };
+    if (local) {
+      tasks = tasks.map(t => (t.id === task.id ? task : t));
+      if (hfTask && hfTask.id === task.id) hfTask = task;
+    } else {
+      tasks.push(task);
+    }
+    if (remote.action === 'resurrected' && graveyard.some(g => g.id === remote.fromId)) {
+      graveyard = graveyard.filter(g => g.id !== remote.fromId);
+      graveChanged = true;
+    }
+    changed = true;
+  });
+
+  if (changed) {
+    renderAll();
+    saveState();
+  }
+  if (graveChanged) {
+    renderGraveyard();
+    saveState();
+  }
+}
+
+/**
+ * Add a relayed change to the activity feed
+ * @param {object} change - Change with by
+ * @param {object|undefined} local - The local task, if any
+ */
+function logBoardActivity(change, local) {
+  const name = change.task ? change.task.name : (change.name || (local && local.name));
+  if (!name || !change.by) return;
+
+  boardActivity.unshift({
+    member: change.by.id === settings.memberId ? 'You' : change.by.name,
+    verb: BOARD_ACTION_VERBS[change.action] || 'updated',
+    name: name,
+    at: Date.now()
+  });
+  boardActivity = boardActivity.slice(0, BOARD_ACTIVITY_LIMIT);
+}
+
+/**
+ * Tell the board which mission is in Hyper-Focus
+ */
+function sendBoardPresence() {
+  if (!boardConnected) return;
+  boardSocket.send(JSON.stringify({
+    type: 'presence',
+    focus: hfTask && isBoardTask(hfTask) ? hfTask.id : null
+  }));
+}
+
+/**
+ * Claim a board mission, or release it when already ours
+ * @param {string} id - Task ID
+ */
+function claimTask(id) {
+  const task = tasks.find(t => t.id === id);
+  if (!task || !isBoardTask(task)) return;
+
+  const member = getMember();
+  if (task.claimedBy && task.claimedBy.id === member.id) {
+    delete task.claimedBy;
+    noteBoardAction(task, 'released');
+  } else {
+    task.claimedBy = member;
+    noteBoardAction(task, 'claimed');
+  }
+  renderAll();
+  saveState();
+  triggerHaptic('success');
+}
+
+/**
+ * Who claimed a board mission and who is focusing on it, for its card
+ * @param {object} task - Task
+ * @returns {string} HTML
+ */
+function renderBoardLine(task) {
+  if (!isBoardTask(task)) return '';
+
+  const parts = [task.claimedBy
+    ? 'Claimed by ' + (task.claimedBy.id === settings.memberId ? 'you' : escapeHtml(task.claimedBy.name))
+    : 'Shared'];
+  const focusing = boardMembers.filter(m => m.focus === task.id && m.id !== settings.memberId);
+  if (focusing.length > 0) {
+    parts.push(escapeHtml(focusing.map(m => m.name).join(', ')) + ' focusing');
+  }
+  return `<div class="task-board">⇄ ${parts.join(' · ')}</div>`;
+}
+
+/**
+ * Claim or Release button for a board mission's card
+ * @param {object} task - Task
+ * @returns {string} HTML
+ */
+function renderClaimButton(task) {
+  if (!isBoardTask(task)) return '';
+
+  const label = task.claimedBy && task.claimedBy.id === settings.memberId ? 'Release' : 'Claim';
+  return `<button type="button" class="btn btn-claim" data-task-id="${task.id}" aria-label="${label} ${escapeHtml(task.name)}">${label}</button>`;
+}
+
+/**
+ * Board connection, members and recent activity
+ */
+function renderBoardPanel() {
+  const panel = document.getElementById('board-panel');
+  const status = !settings.relayUrl || !settings.boardId
+    ? 'Off'
+    : boardConnected ? 'Connected to ' + settings.boardId : 'Connecting…';
+  document.getElementById('board-status').textContent = status;
+
+  panel.hidden = !settings.relayUrl || !settings.boardId;
+  document.getElementById('share-group').hidden = panel.hidden;
+  if (panel.hidden) return;
+
+  document.getElementById('board-title').textContent = 'Board · ' + settings.boardId;
+  document.getElementById('board-connection').textContent = boardConnected ? 'Live' : 'Offline';
+  document.getElementById('board-connection').classList.toggle('live', boardConnected);
+  document.getElementById('board-members').innerHTML = boardMembers.map(m => {
+    const focus = m.focus ? tasks.find(t => t.id === m.focus) : null;
+    return `<li class="board-member${focus ? ' focusing' : ''}">${escapeHtml(m.name)}${
+      m.id === settings.memberId ? ' (you)' : ''}${focus ? ` · ◎ ${escapeHtml(focus.name)}` : ''}</li>`;
+  }).join('');
+  document.getElementById('board-activity').innerHTML = boardActivity.slice(0, BOARD_ACTIVITY_SHOWN).map(entry =>
+    `<li><span class="board-activity-time">${new Date(entry.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span> ${
+      escapeHtml(entry.member)} ${entry.verb} ${escapeHtml(entry.name)}</li>`
+  ).join('');
+}
+
+// ==================== PROJECTS & FILTERS ====================
+
+/*
+ * settings.projects holds [{ id, name, color }]. A task may carry
+ * task.project (a project id) and task.tags (lowercase, without '#').
+ * Events and graves copy both, so history can be filtered the same way.
+ * Grouping by tag uses a mission's first tag, so each card appears once.
+ */
+const NO_PROJECT = 'none';
+const MAX_PROJECTS = 24;
+const PROJECT_COLORS = ['#00ffff', '#ff00ff', '#00ff88', '#ff8800', '#8866ff', '#ffee00'];
+
+// Current filter; not persisted
+let taskFilter = { query: '', project: '', tag: '', scopeStats: false };
+
+/**
+ * Validate a project list, dropping entries that are not well-formed
+ * @param {*} list - Candidate projects
+ * @returns {Array} Clean projects
+ */
+function normalizeProjects(list) {
+  if (!Array.isArray(list)) return [];
+
+  const ids = new Set();
+  const projects = [];
+  list.forEach(project => {
+    if (!project || !isRecordId(project.id) || ids.has(project.id)) return;
+    const name = typeof project.name === 'string' ? project.name.trim().slice(0, MAX_TAG_LENGTH) : '';
+    if (!name || !/^#[0-9a-f]{6}$/i.test(project.color)) return;
+    ids.add(project.id);
+    projects.push({ id: project.id, name: name, color: project.color.toLowerCase() });
+  });
+  return projects.slice(0, MAX_PROJECTS);
+}
+
+function getProjects() {
+  return Array.isArray(settings.projects) ? settings.projects : [];
+}
+
+function findProject(id) {
+  return id ? getProjects().find(p => p.id === id) || null : null;
+}
+
+/**
+ * Parse tags from text like "#client-a, urgent"
+ * @param {string} text - Raw text
+ * @returns {string[]} Unique lowercase tags
+ */
+function parseTags(text) {
+  const tags = String(text || '')
+    .split(/[\s,]+/)
+    .map(tag => tag.replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+function isFiltering() {
+  return !!(taskFilter.query || taskFilter.project || taskFilter.tag);
+}
+
+/**
+ * Whether a task, grave or history event passes a filter
+ * @param {object} item - Anything with name, project and tags
+ * @param {object} [filter=taskFilter] - Filter
+ * @returns {boolean}
+ */
+function matchesFilter(item, filter = taskFilter) {
+  const project = findProject(item.project);
+  const tags = item.tags || [];
+
+  if (filter.project === NO_PROJECT) {
+    if (project) return false;
+  } else if (filter.project && (!project || project.id !== filter.project)) {
+    return false;
+  }
+  if (filter.tag && !tags.includes(filter.tag)) return false;
+
+  if (filter.query) {
+    const haystack = [item.name, project ? project.name : '', ...tags.map(tag => '#' + tag)]
+      .join(' ')
+      .toLowerCase();
+    return filter.query.toLowerCase().split(/\s+/).every(word => haystack.includes(word));
+  }
+  return true;
+}
+
+/**
+ * Split a sorted task list into groups, keeping the order inside each
+ * @param {Array} list - Tasks, urgency-sorted
+ * @param {string} groupBy - '', 'project' or 'tag'
+ * @returns {Array} [{ label, color, tasks }]; one unlabelled group when not grouping
+ */
+function groupTasks(list, groupBy) {
+  if (groupBy !== 'project' && groupBy !== 'tag') {
+    return [{ label: '', color: null, tasks: list }];
+  }
+
+  const groups = new Map();
+  const add = (key, label, color, task) => {
+    if (!groups.has(key)) groups.set(key, { label: label, color: color, tasks: [] });
+    groups.get(key).tasks.push(task);
+  };
+
+  if (groupBy === 'project') {
+    getProjects().forEach(p => groups.set(p.id, { label: p.name, color: p.color, tasks: [] }));
+    list.forEach(t => {
+      const project = findProject(t.project);
+      if (project) add(project.id, project.name, project.color, t);
+      else add('', 'No project', null, t);
+    });
+  } else {
+    list.forEach(t => {
+      const tag = (t.tags || [])[0];
+      if (tag) add('#' + tag, '#' + tag, null, t);
+      else add('', 'No tags', null, t);
+    });
+  }
+
+  // Ungrouped missions last
+  const result = [...groups.entries()].filter(([key]) => key !== '').map(([, group]) => group);
+  if (groups.has('')) result.push(groups.get(''));
+  return result.filter(group => group.tasks.length > 0);
+}
+
+/**
+ * Completed/lost/streak for the history events matching a filter.
+ * Deletes are neither losses nor streak breaks, as in the global counters.
+ * @param {Array} events - History events
+ * @param {object} filter - Filter
+ * @returns {{completed: number, lost: number, streak: number}}
+ */
+function computeScopedStats(events, filter) {
+  const outcomes = events.filter(e =>
+    (e.type === 'completed' || e.type === 'expired') && matchesFilter(e, filter)
+  );
+  const completed = outcomes.filter(e => e.type === 'completed').length;
+
+  let run = 0;
+  for (let i = outcomes.length - 1; i >= 0 && outcomes[i].type === 'completed'; i--) {
+    run++;
+  }
+  return { completed: completed, lost: outcomes.length - completed, streak: run };
+}
+
+/**
+ * Project chip and tag chips for a card
+ * @param {object} task - Task
+ * @returns {string} HTML
+ */
+function renderTaskLabels(task) {
+  const project = findProject(task.project);
+  const tags = task.tags || [];
+  if (!project && tags.length === 0) return '';
+
+  return `
+    <div class="task-labels">
+      ${project ? `<span class="project-chip" data-color="${escapeHtml(project.color)}">${escapeHtml(project.name)}</span>` : ''}
+      ${tags.map(tag => `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" aria-label="Filter by tag ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Fill a select with options, keeping the current choice if it still exists
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array} options - [{ value, label }]
+ */
+function setSelectOptions(select, options) {
+  const current = select.value;
+  select.innerHTML = options
+    .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+    .join('');
+  select.value = options.some(o => o.value === current) ? current : '';
+}
+
+/**
+ * Refresh the project and tag filter menus from current data
+ */
+function renderFilterOptions() {
+  const tags = [...new Set(tasks.flatMap(t => t.tags || []))].sort();
+  if (taskFilter.tag && !tags.includes(taskFilter.tag)) tags.push(taskFilter.tag);
+
+  setSelectOptions(document.getElementById('filter-project'), [
+    { value: '', label: 'All projects' },
+    ...getProjects().map(p => ({ value: p.id, label: p.name })),
+    { value: NO_PROJECT, label: 'No project' }
+  ]);
+  setSelectOptions(document.getElementById('filter-tag'), [
+    { value: '', label: 'All tags' },
+    ...tags.map(tag => ({ value: tag, label: '#' + tag }))
+  ]);
+  document.getElementById('filter-project').value = taskFilter.project;
+  document.getElementById('filter-tag').value = taskFilter.tag;
+  document.getElementById('group-by').value = settings.groupBy;
+}
+
+/**
+ * Change one part of the filter and re-render
+ * @param {string} key - 'query', 'project', 'tag' or 'scopeStats'
+ * @param {*} value - New value
+ */
+function setTaskFilter(key, value) {
+  taskFilter[key] = value;
+  renderAll();
+}
+
+function renderProjectEditor() {
+  const list = document.getElementById('project-list');
+  list.innerHTML = getProjects().map(p => `
+    <li class="tier-row" data-project-id="${escapeHtml(p.id)}">
+      <input type="color" class="tier-color project-color" value="${escapeHtml(p.color)}" aria-label="${escapeHtml(p.name)} colour">
+      <input type="text" class="text-input tier-name project-name" value="${escapeHtml(p.name)}" maxlength="${MAX_TAG_LENGTH}" aria-label="Project name">
+      <button type="button" class="tier-remove" aria-label="Remove ${escapeHtml(p.name)}">×</button>
+    </li>
+  `).join('');
+  document.getElementById('project-add-btn').disabled = getProjects().length >= MAX_PROJECTS;
+}
+
+function saveProjectEditor() {
+  const projects = [...document.querySelectorAll('#project-list .tier-row')].map(row => ({
+    id: row.dataset.projectId,
+    name: row.querySelector('.project-name').value.trim().slice(0, MAX_TAG_LENGTH),
+    color: row.querySelector('.project-color').value
+  }));
+
+  const clean = normalizeProjects(projects);
+  if (clean.length === projects.length) {
+    updateSetting('projects', clean);
+  } else {
+    renderProjectEditor();
+  }
+}
+
+function addProject() {
+  const input = document.getElementById('project-name-input');
+  const name = input.value.trim().slice(0, MAX_TAG_LENGTH);
+  const projects = getProjects();
+  if (!name || projects.length >= MAX_PROJECTS) return;
+
+  input.value = '';
+  updateSetting('projects', projects.concat({
+    id: generateId(),
+    name: name,
+    color: PROJECT_COLORS[projects.length % PROJECT_COLORS.length]
+  }));
+}
+
+/**
+ * Remove a project; its missions simply become unassigned
+ * @param {string} projectId - Project ID
+ */
+function removeProject(projectId) {
+  if (taskFilter.project === projectId) taskFilter.project = '';
+  updateSetting('projects', getProjects().filter(p => p.id !== projectId));
+}
+
+/**
+ * Fill the New Mission project menu, preselecting the filtered project
+ */
+function renderProjectSelect() {
+  const select = document.getElementById('project-select');
+  setSelectOptions(select, [
+    { value: '', label: 'No project' },
+    ...getProjects().map(p => ({ value: p.id, label: p.name }))
+  ]);
+  if (findProject(taskFilter.project)) select.value = taskFilter.project;
+}
+
+// ==================== RENDERING ====================
+
+/*
+ * The task list is keyed. Each row (card, group header, empty note) is built
+ * once from its markup and reused for as long as that markup is unchanged,
+ * so re-rendering keeps focus, hover and animations on untouched cards.
+ * Card markup leaves out everything that changes with time (timer, progress,
+ * tier); paintLiveValues() fills those in, at most once per animation frame.
+ * Rendering never saves: code that changes state calls saveState() itself.
+ */
+const listRows = new Map(); // key -> { el, markup, task, painted }
+let graveTimerEls = [];
+let paintFrame = null;
+
+function renderAll() {
+  tasks.sort((a, b) => a.deadline - b.deadline);
+
+  const visible = tasks.filter(t => matchesFilter(t));
+  const rows = [];
+  groupTasks(visible, settings.groupBy).forEach(group => {
+    if (group.label) {
+      rows.push({ key: 'group:' + group.label, markup: renderGroupHeader(group), task: null });
+    }
+    group.tasks.forEach(t => rows.push({ key: 'task:' + t.id, markup: renderTaskCard(t), task: t }));
+  });
+  if (rows.length === 0 && isFiltering()) {
+    rows.push({ key: 'empty', markup: '<li class="task-list-empty">No missions match the filter</li>', task: null });
+  }
+  reconcileList(document.getElementById('task-list'), rows);
+  paintLiveValues();
+
+  document.getElementById('active-count').textContent =
+    taskFilter.scopeStats && isFiltering() ? visible.length : tasks.length;
+  renderFilterOptions();
+  updateStats();
+
+  // New, extended or restored missions pick up their tier right away
+  tasks.forEach(t => trackStateChange(t.id, getTier(t)));
+
+  // Forget escalation state of tasks that are gone
+  const activeStates = {};
+  tasks.forEach(t => {
+    if (lastTaskStates[t.id]) activeStates[t.id] = lastTaskStates[t.id];
+  });
+  lastTaskStates = activeStates;
+  criticalHapticTasks.forEach(id => {
+    if (!activeStates[id]) stopCriticalHaptic(id);
+  });
+
+  scheduleReminders();
+  scheduleNextWake();
+}
+
+/**
+ * Bring a list's children in line with rows, reusing unchanged elements
+ * @param {HTMLElement} container - List element
+ * @param {Array} rows - [{ key, markup, task }] in display order
+ */
+function reconcileList(container, rows) {
+  const keep = new Set();
+
+  rows.forEach((row, index) => {
+    let entry = listRows.get(row.key);
+    if (!entry || entry.markup !== row.markup) {
+      if (entry) entry.el.remove();
+      entry = { el: createListRow(row.markup), markup: row.markup, painted: {} };
+      listRows.set(row.key, entry);
+    }
+    entry.task = row.task; // Undo and sync swap in new objects
+    keep.add(row.key);
+
+    const current = container.children[index];
+    if (current !== entry.el) {
+      container.insertBefore(entry.el, current || null);
+    }
+  });
+
+  listRows.forEach((entry, key) => {
+    if (!keep.has(key)) {
+      entry.el.remove();
+      listRows.delete(key);
+    }
+  });
+}
+
+/**
+ * Build one list element from markup
+ * @param {string} markup - HTML for a single <li>
+ * @returns {HTMLElement}
+ */
+function createListRow(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = markup.trim();
+  const el = template.content.firstElementChild;
+
+  // Widths and colours via CSSOM: the CSP blocks inline style attributes
+  el.querySelectorAll('.work-fill').forEach(fill => {
+    fill.style.width = fill.dataset.share + '%';
+  });
+  el.querySelectorAll('[data-color]').forEach(chip => {
+    chip.style.setProperty('--chip-color', chip.dataset.color);
+  });
+  return el;
+}
+
+/**
+ * Update timers, progress bars and tiers on screen, writing only what changed
+ */
+function paintLiveValues() {
+  if (paintFrame !== null) {
+    cancelAnimationFrame(paintFrame);
+    paintFrame = null;
+  }
+
+  listRows.forEach(entry => {
+    if (entry.task) paintCard(entry);
+  });
+
+  graveTimerEls.forEach(el => {
+    el.textContent = formatGraveyardTime(parseInt(el.dataset.expiredAt, 10));
+  });
+
+  if (hfTask) {
+    document.getElementById('hf-timer').textContent = formatTime(hfTask.deadline);
+  }
 }
 
 /**
- * Check for expired tasks and process them
+ * Paint the time-driven parts of one card
+ * @param {object} entry - listRows entry with a task
  */
-function checkForExpiredTasks() {
-  const now = Date.now();
-  const expiredTasks = tasks.filter(t => t.deadline <= now);
-  
-  expiredTasks.forEach(task => {
-    handleTaskExpiration(task);
-  });
+function paintCard(entry) {
+  const { el, task, painted } = entry;
+  const tier = getTier(task);
+
+  const time = formatTime(task.deadline);
+  if (painted.time !== time) {
+    el.querySelector('.timer-value').textContent = time;
+    painted.time = time;
+  }
+
+  const progress = Math.round(getProgress(task.deadline, task.created) * 10) / 10;
+  if (painted.progress !== progress) {
+    el.querySelector('.progress-fill').style.width = progress + '%';
+    el.querySelector('.progress-bar').setAttribute('aria-valuenow', String(Math.round(progress)));
+    painted.progress = progress;
+  }
+
+  if (painted.tier !== tier) {
+    // Class changes only, so .shattering and .selected survive
+    if (painted.tier && painted.tier.effect) el.classList.remove(painted.tier.effect);
+    if (tier.effect) el.classList.add(tier.effect);
+    applyTierStyle(el, tier);
+    el.querySelector('.task-status').textContent = tier.name;
+    painted.tier = tier;
+  }
+
+  el.classList.toggle('selected', task.id === selectedTaskId);
 }
 
 /**
- * Check for graveyard items that have exceeded 24 hours
+ * Paint on the next animation frame; repeated requests share one frame
  */
-function checkGraveyardExpiration() {
-  const now = Date.now();
-  const expiredGraves = graveyard.filter(g => 
-    (now - g.expiredAt) >= GRAVEYARD_DURATION
-  );
-  
-  if (expiredGraves.length > 0) {
-    graveyard = graveyard.filter(g => 
-      (now - g.expiredAt) < GRAVEYARD_DURATION
-    );
-    renderGraveyard();
-    saveState();
+function requestPaint() {
+  if (paintFrame === null) {
+    paintFrame = requestAnimationFrame(() => {
+      paintFrame = null;
+      paintLiveValues();
+    });
   }
 }
 
 /**
- * Resurrect a task from the graveyard
- * @param {string} graveId - The grave task ID
+ * Markup for a group header in the task list
+ * @param {object} group - Group from groupTasks()
+ * @returns {string} HTML
  */
-function resurrectTask(graveId) {
-  const grave = graveyard.find(g => g.id === graveId);
-  if (!grave) return;
-  
-  // Create new task with same duration offset
-  const originalDuration = grave.deadline - grave.created;
-  const now = Date.now();
-  
-  const resurrectedTask = {
-    id: now.toString(36) + Math.random().toString(36).slice(2, 6),
-    name: grave.name,
-    deadline: now + originalDuration,
-    created: now
-  };
-  
-  // Remove from graveyard
-  graveyard = graveyard.filter(g => g.id !== graveId);
-  
-  // Add to active tasks
-  tasks.push(resurrectedTask);
-  
-  // Visual feedback
-  triggerHaptic('success');
-  showBurst('success');
-  
-  renderAll();
-  renderGraveyard();
-  saveState();
+function renderGroupHeader(group) {
+  return `
+    <li class="task-group" role="presentation">
+      <span class="task-group-title"${group.color ? ` data-color="${escapeHtml(group.color)}"` : ''}>${escapeHtml(group.label)}</span>
+      <span class="task-group-count">${group.tasks.length}</span>
+    </li>
+  `;
 }
 
 /**
- * Permanently delete a grave task
- * @param {string} graveId - The grave task ID
+ * Markup for one task card, without time-driven values (see paintCard)
+ * @param {object} t - Task
+ * @returns {string} HTML
  */
-function permanentlyDeleteGrave(graveId) {
-  graveyard = graveyard.filter(g => g.id !== graveId);
-  renderGraveyard();
-  saveState();
+function renderTaskCard(t) {
+  const escapedName = escapeHtml(t.name);
+  return `
+    <li class="task-card" id="task-${t.id}" tabindex="-1">
+      <div class="task-header">
+        <div class="task-status"></div>
+        <button type="button" class="focus-btn" data-task-id="${t.id}" aria-label="Focus on ${escapedName}">
+          <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <title>Focus</title>
+            <circle cx="12" cy="12" r="3"/><path d="M12 2v4m0 12v4m10-10h-4M6 12H2"/>
+          </svg>
+        </button>
+      </div>
+      <h3 class="task-name">${escapedName}</h3>
+      ${renderTaskLabels(t)}
+      ${renderTaskLink(t)}
+      ${renderBoardLine(t)}
+      ${t.recurrence ? `<div class="task-repeat">↻ ${describeRecurrence(t.recurrence)} · #${t.occurrence || 1}</div>` : ''}
+      <div class="task-timer">
+        <span class="timer-label">Time Left</span>
+        <span class="timer-value" aria-live="off"></span>
+      </div>
+      <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100">
+        <div class="progress-fill"></div>
+      </div>
+      ${hasSteps(t) ? renderCardSteps(t) : ''}
+      <div class="task-actions">
+        <button type="button" class="btn btn-delete" data-task-id="${t.id}" aria-label="Delete ${escapedName}">× Delete</button>
+        ${renderClaimButton(t)}
+        ${settings.maxExtensions > 0 ? `<button type="button" class="btn btn-extend" data-task-id="${t.id}" aria-label="Extend ${escapedName} by ${settings.extendMins} minutes, ${extensionsLeft(t)} left"${extensionsLeft(t) === 0 ? ' disabled' : ''}>${formatExtendLabel(t)}</button>` : ''}
+        <button type="button" class="btn btn-complete" data-task-id="${t.id}" aria-label="Complete ${escapedName}">
+          <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <polyline points="20 6 9 17 4 12"/>
+          </svg>
+          Complete
+        </button>
+      </div>
+    </li>
+  `;
 }
 
-// ==================== RENDERING ====================
-
-function renderAll() {
-  tasks.sort((a, b) => (a.deadline - Date.now()) - (b.deadline - Date.now()));
-
-  const container = document.getElementById('task-list');
-  container.innerHTML = tasks.map(t => {
-    const state = getState(t.deadline);
-    const escapedName = escapeHtml(t.name);
-    return `
-      <li class="task-card ${state}" id="task-${t.id}">
-        <div class="task-header">
-          <div class="task-status">${state}</div>
-          <button type="button" class="focus-btn" data-task-id="${t.id}" aria-label="Focus on ${escapedName}">
-            <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-              <title>Focus</title>
-              <circle cx="12" cy="12" r="3"/><path d="M12 2v4m0 12v4m10-10h-4M6 12H2"/>
-            </svg>
-          </button>
-        </div>
-        <h3 class="task-name">${escapedName}</h3>
-        <div class="task-timer">
-          <span class="timer-label">Time Left</span>
-          <span class="timer-value" data-deadline="${t.deadline}" aria-live="off">${formatTime(t.deadline)}</span>
-        </div>
-        <div class="progress-bar" role="progressbar" aria-valuenow="${Math.round(getProgress(t.deadline, t.created))}" aria-valuemin="0" aria-valuemax="100">
-          <div class="progress-fill" style="width:${getProgress(t.deadline, t.created)}%" data-deadline="${t.deadline}" data-created="${t.created}"></div>
-        </div>
-        <div class="task-actions">
-          <button type="button" class="btn btn-delete" data-task-id="${t.id}" aria-label="Delete ${escapedName}">× Delete</button>
-          <button type="button" class="btn btn-complete" data-task-id="${t.id}" aria-label="Complete ${escapedName}">
-            <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-              <polyline points="20 6 9 17 4 12"/>
-            </svg>
-            Complete
-          </button>
-        </div>
-      </li>
-    `;
-  }).join('');
-
-  document.getElementById('active-count').textContent = tasks.length;
-  saveState();
+/**
+ * Work-done bar and checklist for a task card
+ * @param {object} task - Task with steps
+ * @returns {string} HTML
+ */
+function renderCardSteps(task) {
+  const progress = stepProgress(task);
+  const share = Math.round((progress.stepsDone / progress.stepsTotal) * 100);
+  return `
+    <div class="work-progress">
+      <div class="work-bar" role="progressbar" aria-label="Steps done" aria-valuenow="${share}" aria-valuemin="0" aria-valuemax="100">
+        <div class="work-fill" data-share="${share}"></div>
+      </div>
+      <span class="work-label">${progress.stepsDone}/${progress.stepsTotal}</span>
+    </div>
+    <ul class="task-steps">${renderStepList(task)}</ul>
+  `;
 }
 
 function renderGraveyard() {
@@ -612,12 +3662,21 @@ function renderGraveyard() {
   
   container.innerHTML = graveyard.map(g => {
     const escapedName = escapeHtml(g.name);
+    const rule = normalizeRecurrence(g.recurrence);
+    const occurrence = rule
+      ? `<div class="grave-card-occurrence">↻ ${describeRecurrence(rule)} · #${g.occurrence || 1} · due ${
+        new Date(g.deadline).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+      }</div>`
+      : '';
+    const progress = hasSteps(g) ? stepProgress(g) : null;
     return `
       <li class="grave-card" id="grave-${g.id}">
         <div class="grave-card-header">
           <span class="grave-card-name">${escapedName}</span>
           <span class="grave-card-timer" data-expired-at="${g.expiredAt}">${formatGraveyardTime(g.expiredAt)}</span>
         </div>
+        ${occurrence}
+        ${progress ? `<div class="grave-card-occurrence">Died at ${progress.stepsDone}/${progress.stepsTotal} steps</div>` : ''}
         <div class="grave-card-actions">
           <button type="button" class="resurrect-btn" data-grave-id="${g.id}" aria-label="Resurrect ${escapedName}">
             Hold to Resurrect
@@ -629,99 +3688,642 @@ function renderGraveyard() {
       </li>
     `;
   }).join('');
+  graveTimerEls = [...container.querySelectorAll('.grave-card-timer')];
+  scheduleNextWake();
 }
 
+/**
+ * Once-a-second display refresh while visible; state changes happen in
+ * runScheduler()
+ */
 function updateTimers() {
-  // Check for expired tasks
-  checkForExpiredTasks();
-  checkGraveyardExpiration();
-  
-  // Update active task timers
-  document.querySelectorAll('.timer-value').forEach(el => {
-    const deadline = parseInt(el.dataset.deadline, 10);
-    if (!isNaN(deadline)) {
-      el.textContent = formatTime(deadline);
-    }
+  // Timers, progress bars and tiers are painted in one frame
+  requestPaint();
+
+  // Update hyperfocus; its critical cues come from the shared rhythm
+  // (startCriticalHaptic), which covers every critical mission
+  if (hfTask) {
+    renderFocusSession();
+  }
+}
+
+function updateStats() {
+  const scoped = taskFilter.scopeStats && isFiltering();
+  const stats = scoped
+    ? computeScopedStats(eventLog, taskFilter)
+    : { completed: completedCount, lost: expiredCount, streak: streak };
+
+  document.getElementById('streak').textContent = stats.streak;
+  document.getElementById('completed-count').textContent = stats.completed;
+  document.getElementById('expired-count').textContent = stats.lost;
+
+  const total = stats.completed + stats.lost;
+  const rate = total > 0 ? Math.round((stats.completed / total) * 100) : 0;
+  document.getElementById('success-rate').textContent = rate + '%';
+  document.querySelector('.stats-section').classList.toggle('scoped', scoped);
+}
+
+// ==================== HISTORY & ANALYTICS ====================
+
+const ANALYTICS_DAYS = 7;
+const ANALYTICS_WEEKS = 6;
+
+/**
+ * Append an event to the history log
+ * @param {string} type - 'created', 'completed', 'expired', 'deleted' or 'resurrected'
+ * @param {object} task - The task the event is about
+ * @param {object} [extra] - Additional fields
+ */
+function recordEvent(type, task, extra) {
+  eventLog.push({
+    id: generateId(),
+    type: type,
+    at: Date.now(),
+    taskId: task.id,
+    name: task.name,
+    created: task.created,
+    deadline: task.deadline,
+    ...(task.recurrence ? { seriesId: task.seriesId, occurrence: task.occurrence } : {}),
+    ...(task.extensions ? { extensions: task.extensions } : {}),
+    ...(hasSteps(task) ? stepProgress(task) : {}),
+    ...(task.focusMs ? { focusMs: task.focusMs } : {}),
+    ...(task.project ? { project: task.project } : {}),
+    ...(task.tags && task.tags.length > 0 ? { tags: task.tags } : {}),
+    ...extra
   });
 
-  document.querySelectorAll('.progress-fill').forEach(el => {
-    const deadline = parseInt(el.dataset.deadline, 10);
-    const created = parseInt(el.dataset.created, 10);
-    if (!isNaN(deadline) && !isNaN(created)) {
-      el.style.width = getProgress(deadline, created) + '%';
-    }
+  if (eventLog.length > HISTORY_LIMIT) {
+    eventLog.splice(0, eventLog.length - HISTORY_LIMIT);
+  }
+}
+
+function startOfDay(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+function addDays(time, days) {
+  const date = new Date(time);
+  date.setDate(date.getDate() + days); // DST-safe, unlike adding 24h
+  return date.getTime();
+}
+
+/**
+ * Preset a task's window matches, or null for custom durations
+ * @param {object} event - History event with created and deadline
+ * @param {number[]} presetMins - Current time presets in minutes
+ * @returns {number|null} Preset in minutes
+ */
+function matchPreset(event, presetMins) {
+  const mins = Math.round((event.deadline - event.created) / MS_PER_MINUTE);
+  return presetMins.includes(mins) ? mins : null;
+}
+
+/**
+ * Derive analytics from the event log. Pure, for a given `now` and presets.
+ * "Lost" counts expirations only, matching the Lost counter.
+ * @param {Array} events - History events, oldest first
+ * @param {number} now - Current timestamp
+ * @param {number[]} presetMins - Time presets from getPresets(); other
+ *   windows count as custom
+ * @returns {object} Analytics
+ */
+function computeAnalytics(events, now, presetMins) {
+  const outcomes = events.filter(e => e.type === 'completed' || e.type === 'expired');
+
+  const bucket = (start, end) => {
+    const inRange = outcomes.filter(e => e.at >= start && e.at < end);
+    const completed = inRange.filter(e => e.type === 'completed').length;
+    return { start: start, completed: completed, lost: inRange.length - completed };
+  };
+
+  const today = startOfDay(now);
+  const days = [];
+  for (let i = ANALYTICS_DAYS - 1; i >= 0; i--) {
+    days.push(bucket(addDays(today, -i), addDays(today, -i + 1)));
+  }
+
+  const thisWeek = addDays(today, -((new Date(today).getDay() + 6) % 7)); // Monday
+  const weeks = [];
+  for (let i = ANALYTICS_WEEKS - 1; i >= 0; i--) {
+    weeks.push(bucket(addDays(thisWeek, -7 * i), addDays(thisWeek, -7 * i + 7)));
+  }
+
+  // Time left and share of the window used at completion
+  const completions = outcomes.filter(e => e.type === 'completed' && e.deadline > e.created);
+  const avgTimeLeft = completions.length > 0
+    ? completions.reduce((sum, e) => sum + Math.max(0, e.deadline - e.at), 0) / completions.length
+    : null;
+  const avgWindowUsed = completions.length > 0
+    ? completions.reduce((sum, e) => sum + Math.min(1, (e.at - e.created) / (e.deadline - e.created)), 0) /
+      completions.length
+    : null;
+
+  // Longest run of completions without a loss in the log
+  let run = 0;
+  let longestRun = 0;
+  outcomes.forEach(e => {
+    run = e.type === 'completed' ? run + 1 : 0;
+    longestRun = Math.max(longestRun, run);
   });
 
-  // Update task card states
-  tasks.forEach(t => {
-    const card = document.getElementById('task-' + t.id);
-    if (card) {
-      const state = getState(t.deadline);
-      card.className = 'task-card ' + state;
-      const status = card.querySelector('.task-status');
-      if (status) status.textContent = state;
-    }
+  // How often time was bought, and whether it paid off
+  const extended = outcomes.filter(e => e.extensions > 0);
+
+  // How far lost missions with a checklist got
+  const lostWithSteps = outcomes.filter(e => e.type !== 'completed' && e.stepsTotal > 0);
+  const lostProgress = [
+    { label: 'Untouched', test: share => share === 0 },
+    { label: 'Under half', test: share => share > 0 && share < 0.5 },
+    { label: 'Half or more', test: share => share >= 0.5 && share < 1 },
+    { label: 'All steps', test: share => share === 1 }
+  ].map(row => ({
+    label: row.label,
+    count: lostWithSteps.filter(e => row.test(e.stepsDone / e.stepsTotal)).length
+  }));
+
+  const presets = presetMins.slice().sort((a, b) => a - b).map(mins => ({ mins: mins, completed: 0, lost: 0 }));
+  const custom = { mins: null, completed: 0, lost: 0 };
+  outcomes.forEach(e => {
+    const mins = matchPreset(e, presetMins);
+    const row = mins === null ? custom : presets.find(p => p.mins === mins);
+    row[e.type === 'completed' ? 'completed' : 'lost']++;
   });
 
-  // Update graveyard timers
-  document.querySelectorAll('.grave-card-timer').forEach(el => {
-    const expiredAt = parseInt(el.dataset.expiredAt, 10);
-    if (!isNaN(expiredAt)) {
-      el.textContent = formatGraveyardTime(expiredAt);
-    }
+  return {
+    days: days,
+    weeks: weeks,
+    avgTimeLeft: avgTimeLeft,
+    avgWindowUsed: avgWindowUsed,
+    longestRun: longestRun,
+    extensions: events.filter(e => e.type === 'extended').length,
+    extendedFinished: extended.length,
+    extendedCompleted: extended.filter(e => e.type === 'completed').length,
+    lostProgress: lostWithSteps.length > 0 ? lostProgress : [],
+    sessions: events.filter(e => e.type === 'session').length,
+    avgFocusCompleted: averageFocus(outcomes.filter(e => e.type === 'completed')),
+    avgFocusLost: averageFocus(outcomes.filter(e => e.type !== 'completed')),
+    presets: presets.concat(custom).filter(p => p.completed + p.lost > 0)
+  };
+}
+
+/**
+ * Average focused time over outcome events, counting unfocused ones as zero
+ * @param {Array} events - Outcome events
+ * @returns {number|null} ms, or null when nothing was focused on at all
+ */
+function averageFocus(events) {
+  const total = events.reduce((sum, e) => sum + (e.focusMs || 0), 0);
+  return total > 0 ? total / events.length : null;
+}
+
+function formatDuration(ms) {
+  const hours = Math.floor(ms / MS_PER_HOUR);
+  const minutes = Math.round((ms % MS_PER_HOUR) / MS_PER_MINUTE);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatPreset(mins) {
+  if (mins === null) return 'Custom';
+  return mins >= 60 ? `${mins / 60}h` : `${mins}m`;
+}
+
+/**
+ * Render rows of completed/lost bars
+ * @param {HTMLElement} container - List element
+ * @param {Array} rows - { label, completed, lost, value? }; value replaces
+ *   the default "completed/total · rate" text
+ */
+function renderAnalyticsBars(container, rows) {
+  const max = Math.max(1, ...rows.map(r => r.completed + r.lost));
+  container.innerHTML = rows.map(r => {
+    const total = r.completed + r.lost;
+    const rate = total > 0 ? Math.round((r.completed / total) * 100) + '%' : '—';
+    const value = r.value || `${r.completed}/${total} · ${rate}`;
+    return `
+      <li class="analytics-row">
+        <span class="analytics-label">${escapeHtml(r.label)}</span>
+        <span class="analytics-bar" aria-hidden="true">
+          <span class="analytics-bar-done" data-share="${(r.completed / max) * 100}"></span>
+          <span class="analytics-bar-lost" data-share="${(r.lost / max) * 100}"></span>
+        </span>
+        <span class="analytics-value">${escapeHtml(value)}</span>
+      </li>
+    `;
+  }).join('');
+
+  // Widths via CSSOM: the CSP blocks inline style attributes
+  container.querySelectorAll('[data-share]').forEach(el => {
+    el.style.width = el.dataset.share + '%';
+  });
+}
+
+function renderAnalytics() {
+  const analytics = computeAnalytics(eventLog, Date.now(), getPresets());
+
+  document.getElementById('analytics-best-streak').textContent =
+    Math.max(bestStreak, analytics.longestRun);
+  document.getElementById('analytics-time-left').textContent =
+    analytics.avgTimeLeft === null ? '—' : formatDuration(analytics.avgTimeLeft);
+  document.getElementById('analytics-window-used').textContent =
+    analytics.avgWindowUsed === null ? '—' : Math.round(analytics.avgWindowUsed * 100) + '%';
+  document.getElementById('analytics-extensions').textContent = analytics.extensions === 0
+    ? 'No extensions bought yet'
+    : `${analytics.extensions} extension${analytics.extensions === 1 ? '' : 's'} bought · ` +
+      `${analytics.extendedCompleted}/${analytics.extendedFinished} extended missions completed`;
+  document.getElementById('analytics-focus').textContent = analytics.sessions === 0 &&
+    analytics.avgFocusCompleted === null && analytics.avgFocusLost === null
+    ? 'No focus sessions yet'
+    : `${analytics.sessions} focus session${analytics.sessions === 1 ? '' : 's'} · avg focused: ` +
+      `${analytics.avgFocusCompleted === null ? '0m' : formatDuration(analytics.avgFocusCompleted)} completed, ` +
+      `${analytics.avgFocusLost === null ? '0m' : formatDuration(analytics.avgFocusLost)} lost`;
+
+  renderAnalyticsBars(document.getElementById('analytics-days'), analytics.days.map(d => ({
+    ...d,
+    label: new Date(d.start).toLocaleDateString([], { weekday: 'short' })
+  })));
+  renderAnalyticsBars(document.getElementById('analytics-weeks'), analytics.weeks.map(w => ({
+    ...w,
+    label: new Date(w.start).toLocaleDateString([], { month: 'short', day: 'numeric' })
+  })));
+
+  const progressList = document.getElementById('analytics-progress');
+  if (analytics.lostProgress.length === 0) {
+    progressList.innerHTML = '<li class="analytics-empty">No lost missions with steps</li>';
+  } else {
+    renderAnalyticsBars(progressList, analytics.lostProgress.map(p => ({
+      label: p.label,
+      completed: 0,
+      lost: p.count,
+      value: String(p.count)
+    })));
+  }
+
+  const presetList = document.getElementById('analytics-presets');
+  if (analytics.presets.length === 0) {
+    presetList.innerHTML = '<li class="analytics-empty">No finished missions yet</li>';
+  } else {
+    renderAnalyticsBars(presetList, analytics.presets.map(p => ({
+      ...p,
+      label: formatPreset(p.mins)
+    })));
+  }
+}
+
+function openAnalytics() {
+  renderAnalytics();
+  document.getElementById('analytics-modal').classList.add('active');
+}
+
+function closeAnalytics() {
+  document.getElementById('analytics-modal').classList.remove('active');
+}
+
+// ==================== EXTENSIONS ====================
+
+/**
+ * Extensions a mission has left under the current limit
+ * @param {object} task - Task
+ * @returns {number}
+ */
+function extensionsLeft(task) {
+  return Math.max(0, settings.maxExtensions - (task.extensions || 0));
+}
+
+/**
+ * Buy time: push the deadline back by the configured amount
+ * @param {string} id - Task ID
+ */
+function extendTask(id) {
+  const task = tasks.find(t => t.id === id);
+  if (!task || extensionsLeft(task) === 0) return;
+  if (task.deadline <= Date.now()) return; // Already shattering
+
+  const before = captureUndoState();
+  const added = settings.extendMins * MS_PER_MINUTE;
+  if (task.scheduledDeadline === undefined) {
+    task.scheduledDeadline = task.deadline; // A series recurs from the planned slot
+  }
+  task.deadline += added;
+  task.extensions = (task.extensions || 0) + 1;
+  recordEvent('extended', task, { added: added });
+  noteBoardAction(task, 'extended');
+
+  if (settings.extendCostsStreak) {
+    streak = 0;
+  }
+
+  updateStats();
+  renderAll();
+  saveState();
+  updateExtendButton();
+  recordUndo('Extended ' + task.name, before);
+  triggerHaptic('success');
+}
+
+/**
+ * Label for an extend button, e.g. "+15m (2)"
+ * @param {object} task - Task
+ * @returns {string}
+ */
+function formatExtendLabel(task) {
+  return `+${settings.extendMins}m (${extensionsLeft(task)})`;
+}
+
+/**
+ * Sync the Hyper-Focus extend button with the focused mission
+ */
+function updateExtendButton() {
+  const btn = document.getElementById('hf-extend-btn');
+  if (!hfTask || settings.maxExtensions === 0) {
+    btn.hidden = true;
+    return;
+  }
+  btn.hidden = false;
+  btn.textContent = formatExtendLabel(hfTask);
+  btn.disabled = extensionsLeft(hfTask) === 0;
+  btn.setAttribute('aria-label', `Extend by ${settings.extendMins} minutes, ${extensionsLeft(hfTask)} left`);
+}
+
+// ==================== CHECKLISTS ====================
+
+/*
+ * A mission can carry task.steps: [{ id, text, done }], in order.
+ * Progress is shown as a second bar next to the time bar, and lost missions
+ * record how far their checklist got (stepsDone/stepsTotal on the event).
+ */
+
+function hasSteps(task) {
+  return Array.isArray(task.steps) && task.steps.length > 0;
+}
+
+/**
+ * @param {object} task - Task with steps
+ * @returns {{stepsDone: number, stepsTotal: number}}
+ */
+function stepProgress(task) {
+  return {
+    stepsDone: task.steps.filter(s => s.done).length,
+    stepsTotal: task.steps.length
+  };
+}
+
+/**
+ * Build steps from text, one per line
+ * @param {string} text - Raw text
+ * @param {number} now - Timestamp for the IDs
+ * @returns {Array} Steps
+ */
+function parseSteps(text, now) {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim().slice(0, MAX_TASK_NAME_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_STEPS)
+    .map(line => ({ id: generateId(now), text: line, done: false }));
+}
+
+/**
+ * Checklist markup shared by the task card and Hyper-Focus
+ * @param {object} task - Task with steps
+ * @returns {string} HTML
+ */
+function renderStepList(task) {
+  return task.steps.map(step => `
+    <li class="task-step${step.done ? ' done' : ''}">
+      <label>
+        <input type="checkbox" class="step-check" data-task-id="${task.id}" data-step-id="${step.id}"${step.done ? ' checked' : ''}>
+        <span>${escapeHtml(step.text)}</span>
+      </label>
+    </li>
+  `).join('');
+}
+
+/**
+ * Tick or untick a step
+ * @param {string} taskId - Task ID
+ * @param {string} stepId - Step ID
+ */
+function toggleStep(taskId, stepId) {
+  const task = tasks.find(t => t.id === taskId);
+  const step = task && hasSteps(task) ? task.steps.find(s => s.id === stepId) : null;
+  if (!step) return;
+
+  const focused = document.activeElement;
+  const restoreFocus = focused && focused.dataset && focused.dataset.stepId === stepId
+    ? (focused.closest('#hf-steps') ? '#hf-steps' : '#task-list')
+    : null;
+
+  step.done = !step.done;
+  triggerHaptic('success');
+  renderAll();
+  saveState();
+  renderHyperFocusSteps();
+
+  // Re-rendering replaced the checkbox; keep keyboard users in place
+  if (restoreFocus) {
+    const check = document.querySelector(`${restoreFocus} .step-check[data-step-id="${stepId}"]`);
+    if (check) check.focus();
+  }
+}
+
+/**
+ * Append a step to a mission
+ * @param {string} taskId - Task ID
+ * @param {string} text - Step text
+ */
+function addStep(taskId, text) {
+  const task = tasks.find(t => t.id === taskId);
+  if (!task) return;
+
+  const [step] = parseSteps(text, Date.now());
+  if (!step) return;
+  if (!hasSteps(task)) task.steps = [];
+  if (task.steps.length >= MAX_STEPS) return;
+
+  task.steps.push(step);
+  renderAll();
+  saveState();
+  renderHyperFocusSteps();
+}
+
+function renderHyperFocusSteps() {
+  const list = document.getElementById('hf-steps');
+  const form = document.getElementById('hf-step-form');
+  if (!hfTask) {
+    list.innerHTML = '';
+    return;
+  }
+
+  list.innerHTML = hasSteps(hfTask) ? renderStepList(hfTask) : '';
+  form.hidden = hasSteps(hfTask) && hfTask.steps.length >= MAX_STEPS;
+}
+
+// ==================== RECURRENCE ====================
+
+/*
+ * A recurring mission carries:
+ *   recurrence  { type: 'daily' | 'weekdays' | 'weekly' | 'hourly',
+ *                 days: [0-6] (weekly, 0 = Sunday), hours: n (hourly) }
+ *   seriesId    id of the first occurrence
+ *   occurrence  1-based occurrence number
+ * Completing or losing an occurrence spawns the next one; deleting it ends the
+ * series. The next slot follows task.scheduledDeadline (the deadline before
+ * any extension), so buying time never shifts the rest of the series.
+ * Daily/weekly occurrences keep the wall-clock time of the deadline.
+ * Slots that passed entirely while the app was closed are skipped.
+ * Rules are validated by normalizeRecurrence() in records.js.
+ */
+
+const RECURRENCE_DAYS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5]
+};
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Deadline of the next occurrence after `deadline` that is still ahead of `now`
+ * @param {object} rule - Normalized recurrence rule
+ * @param {number} deadline - Deadline of the current occurrence
+ * @param {number} now - Current timestamp
+ * @returns {number} Next deadline
+ */
+function nextOccurrence(rule, deadline, now) {
+  if (rule.type === 'hourly') {
+    const step = rule.hours * MS_PER_HOUR;
+    const next = deadline + step;
+    return next > now ? next : next + Math.ceil((now - next + 1) / step) * step;
+  }
+
+  const days = RECURRENCE_DAYS[rule.type] || rule.days;
+  const next = new Date(deadline);
+  do {
+    next.setDate(next.getDate() + 1); // Keeps the wall-clock time across DST
+  } while (!days.includes(next.getDay()) || next.getTime() <= now);
+  return next.getTime();
+}
+
+/**
+ * Short label for a rule, e.g. "Daily", "Mon, Thu", "Every 4h"
+ * @param {object} rule - Normalized recurrence rule
+ * @returns {string}
+ */
+function describeRecurrence(rule) {
+  if (rule.type === 'daily') return 'Daily';
+  if (rule.type === 'weekdays') return 'Weekdays';
+  if (rule.type === 'hourly') return `Every ${rule.hours}h`;
+  // Monday first, as in the picker
+  return rule.days
+    .slice()
+    .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+    .map(d => WEEKDAY_LABELS[d])
+    .join(', ');
+}
+
+/**
+ * Queue the occurrence after `task`
+ * @param {object} task - The occurrence that just ended
+ * @param {number} now - Current timestamp
+ * @returns {object} The new task
+ */
+function spawnNextOccurrence(task, now) {
+  const occurrence = (task.occurrence || 1) + 1;
+  const next = {
+    // Board members all spawn the next occurrence; a shared id makes them one mission
+    id: task.board ? (task.seriesId || task.id) + '-' + occurrence : generateId(now),
+    name: task.name,
+    deadline: nextOccurrence(task.recurrence, task.scheduledDeadline || task.deadline, now),
+    created: now,
+    recurrence: task.recurrence,
+    seriesId: task.seriesId || task.id,
+    occurrence: occurrence
+  };
+  if (hasSteps(task)) {
+    next.steps = task.steps.map(s => ({ ...s, done: false }));
+  }
+  ['thresholds', 'project', 'tags', 'link', 'board', 'calendarUid'].forEach(key => {
+    if (task[key]) next[key] = task[key];
   });
 
-  // Update hyperfocus
-  if (hfTask) {
-    document.getElementById('hf-timer').textContent = formatTime(hfTask.deadline);
-    const state = getState(hfTask.deadline);
-    const statusEl = document.getElementById('hf-status');
-    statusEl.textContent = state;
-    statusEl.style.color = STATE_COLORS[state].color;
-    statusEl.style.background = STATE_COLORS[state].bg;
-    document.getElementById('hf-timer').style.color = STATE_COLORS[state].color;
-    
-    // Heartbeat haptic in final 60 seconds
-    if (state === 'TERMINAL') {
-      const remaining = hfTask.deadline - Date.now();
-      if (remaining > 0 && remaining <= MS_PER_MINUTE) {
-        // Trigger heartbeat every 10 seconds in terminal state
-        if (Math.floor(remaining / 10000) !== Math.floor((remaining + 1000) / 10000)) {
-          triggerHaptic('heartbeat');
-        }
-      }
-    }
+  tasks.push(next);
+  recordEvent('created', next);
+  return next;
+}
+
+/**
+ * Read the Repeat controls of the New Mission modal
+ * @param {number} deadline - Deadline of the first occurrence
+ * @returns {object|null} Normalized rule, or null for one-shot missions
+ */
+function readRecurrenceInput(deadline) {
+  const type = document.getElementById('recurrence-select').value;
+  if (!type) return null;
+
+  if (type === 'weekly') {
+    const days = [...document.querySelectorAll('.recurrence-day[aria-pressed="true"]')]
+      .map(btn => parseInt(btn.dataset.day, 10));
+    // Nothing picked: repeat on the weekday of the first deadline
+    return normalizeRecurrence({ type: 'weekly', days: days.length > 0 ? days : [new Date(deadline).getDay()] });
   }
+
+  return normalizeRecurrence({
+    type: type,
+    hours: document.getElementById('recurrence-hours').value
+  });
 }
 
-function updateStats() {
-  document.getElementById('streak').textContent = streak;
-  document.getElementById('completed-count').textContent = completedCount;
-  document.getElementById('expired-count').textContent = expiredCount;
+/**
+ * Show the day picker or hour field for the selected repeat type
+ */
+function updateRecurrenceUI() {
+  const type = document.getElementById('recurrence-select').value;
+  document.getElementById('recurrence-days').classList.toggle('active', type === 'weekly');
+  document.getElementById('recurrence-hours').classList.toggle('active', type === 'hourly');
+}
 
-  const total = completedCount + expiredCount;
-  const rate = total > 0 ? Math.round((completedCount / total) * 100) : 0;
-  document.getElementById('success-rate').textContent = rate + '%';
+function resetRecurrenceInput() {
+  document.getElementById('recurrence-select').value = '';
+  document.getElementById('recurrence-hours').value = '4';
+  document.querySelectorAll('.recurrence-day').forEach(btn => btn.setAttribute('aria-pressed', 'false'));
+  updateRecurrenceUI();
 }
 
 // ==================== TASK ACTIONS ====================
 
 function completeTask(id) {
+  const task = tasks.find(t => t.id === id);
+  if (!task) return;
+
+  if (focusSession && focusSession.taskId === id) {
+    stopFocusSession();
+  }
+  stopCriticalHaptic(id);
+  const before = captureUndoState();
   tasks = tasks.filter(t => t.id !== id);
+  noteBoardAction(task, 'completed');
+  recordEvent('completed', task);
   completedCount++;
   streak++;
+  bestStreak = Math.max(bestStreak, streak);
+  if (task.recurrence) {
+    spawnNextOccurrence(task, Date.now());
+  }
   updateStats();
   renderAll();
+  saveState();
+  recordUndo('Completed ' + task.name, before);
   showBurst('success');
   triggerHaptic('success');
+  playSound('success');
 }
 
 function deleteTask(id) {
   const task = tasks.find(t => t.id === id);
   if (!task) return;
   
-  // Manual delete goes straight to graveyard too
-  handleTaskExpiration(task);
+  // Manual delete shatters like an expiration; burial follows the delete policy
+  handleTaskExpiration(task, 'deleted');
 }
 
 function showBurst(type) {
@@ -734,6 +4336,7 @@ function showBurst(type) {
 // ==================== MODAL HANDLING ====================
 
 function openModal() {
+  renderProjectSelect();
   document.getElementById('modal').classList.add('active');
   document.getElementById('task-input').focus();
 }
@@ -741,27 +4344,151 @@ function openModal() {
 function closeModal() {
   document.getElementById('modal').classList.remove('active');
   document.getElementById('task-input').value = '';
-  document.getElementById('submit-btn').disabled = true;
+  document.getElementById('deadline-input').value = '';
+  document.getElementById('steps-input').value = '';
+  document.getElementById('tags-input').value = '';
+  document.getElementById('link-input').value = '';
+  document.getElementById('share-input').checked = false;
+  updateDeadlinePreview();
+  resetRecurrenceInput();
+  document.getElementById('urgency-select').value = '';
+  renderUrgencyEditor();
 }
 
-function addTask() {
-  const input = document.getElementById('task-input');
-  const name = input.value.trim().slice(0, MAX_TASK_NAME_LENGTH);
-  if (!name) return;
+/**
+ * Work out a new mission's name and deadline. A trailing "@..." phrase in
+ * the name wins over the exact deadline field, which wins over the preset.
+ * @param {string} rawName - Name as typed
+ * @param {string} exact - Exact deadline field ('' if unused)
+ * @param {number} mins - Selected preset in minutes
+ * @param {number} now - Current timestamp
+ * @returns {{name: string, deadline: number|null, source: string}} deadline
+ *   is null when the exact field can't be read; source is 'inline', 'exact' or 'preset'
+ */
+function resolveNewTask(rawName, exact, mins, now) {
+  const inline = extractInlineDeadline(rawName, now);
+  const name = inline.name.slice(0, MAX_TASK_NAME_LENGTH);
+
+  if (inline.deadline !== null) {
+    return { name: name, deadline: inline.deadline, source: 'inline' };
+  }
+  if (exact.trim()) {
+    return { name: name, deadline: parseDeadline(exact, now), source: 'exact' };
+  }
+  return { name: name, deadline: now + mins * MS_PER_MINUTE, source: 'preset' };
+}
+
+/**
+ * Format a deadline for the modal preview, e.g. "Fri 14:00"
+ * @param {number} deadline - Timestamp
+ * @param {number} now - Current timestamp
+ * @returns {string}
+ */
+function formatDeadline(deadline, now) {
+  const options = { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+  if (deadline - now > 6 * 24 * MS_PER_HOUR) {
+    options.month = 'short';
+    options.day = 'numeric';
+  }
+  return new Date(deadline).toLocaleString([], options);
+}
 
+/**
+ * Show what the typed deadline resolves to and gate the submit button
+ */
+function updateDeadlinePreview() {
+  const preview = document.getElementById('deadline-preview');
+  const entry = resolveNewTask(
+    document.getElementById('task-input').value,
+    document.getElementById('deadline-input').value,
+    selectedMins,
+    Date.now()
+  );
+
+  preview.classList.toggle('invalid', entry.deadline === null);
+  if (entry.deadline === null) {
+    preview.textContent = "Can't read that time";
+  } else if (entry.source === 'preset') {
+    preview.textContent = '';
+  } else {
+    preview.textContent = 'Due ' + formatDeadline(entry.deadline, Date.now()) +
+      ' · in ' + formatDuration(entry.deadline - Date.now()) +
+      (entry.source === 'inline' ? ' (from name)' : '');
+  }
+
+  document.getElementById('submit-btn').disabled = !entry.name || entry.deadline === null;
+}
+
+function addTask() {
   const now = Date.now();
+  const entry = resolveNewTask(
+    document.getElementById('task-input').value,
+    document.getElementById('deadline-input').value,
+    selectedMins,
+    now
+  );
+  if (!entry.name) return;
+  if (entry.deadline === null) {
+    updateDeadlinePreview();
+    document.getElementById('deadline-input').focus();
+    return;
+  }
+
   const newTask = {
-    id: now.toString(36) + Math.random().toString(36).slice(2, 6),
-    name: name,
-    deadline: now + selectedMins * MS_PER_MINUTE,
+    id: generateId(now),
+    name: entry.name,
+    deadline: entry.deadline,
     created: now
   };
+  const steps = parseSteps(document.getElementById('steps-input').value, now);
+  if (steps.length > 0) {
+    newTask.steps = steps;
+  }
+  const project = findProject(document.getElementById('project-select').value);
+  if (project) {
+    newTask.project = project.id;
+  }
+  const tags = parseTags(document.getElementById('tags-input').value);
+  if (tags.length > 0) {
+    newTask.tags = tags;
+  }
+  const link = normalizeLink(document.getElementById('link-input').value);
+  if (link) {
+    newTask.link = link;
+  }
+  const thresholds = readUrgencyInput();
+  if (thresholds) {
+    newTask.thresholds = thresholds;
+  }
+  if (settings.relayUrl && settings.boardId && document.getElementById('share-input').checked) {
+    newTask.board = settings.boardId;
+  }
+  const recurrence = readRecurrenceInput(entry.deadline);
+  if (recurrence) {
+    newTask.recurrence = recurrence;
+    newTask.seriesId = newTask.id;
+    newTask.occurrence = 1;
+  }
+
+  createTask(newTask);
+  closeModal();
+}
 
+/**
+ * Add a validated task to the active list
+ * @param {object} newTask - Task built from resolveNewTask() output
+ */
+function createTask(newTask) {
+  const before = captureUndoState();
   tasks.push(newTask);
+  noteBoardAction(newTask, 'created');
+  recordEvent('created', newTask);
   renderAll();
-  closeModal();
+  saveState();
+  recordUndo('Added ' + newTask.name, before);
   showBurst('success');
   triggerHaptic('success');
+  playSound('success');
 }
 
 // ==================== HYPER FOCUS ====================
@@ -770,20 +4497,32 @@ function enterHyperFocus(id) {
   hfTask = tasks.find(t => t.id === id);
   if (!hfTask) return;
 
-  const state = getState(hfTask.deadline);
-
-  document.getElementById('hf-status').textContent = state;
-  document.getElementById('hf-status').style.color = STATE_COLORS[state].color;
-  document.getElementById('hf-status').style.background = STATE_COLORS[state].bg;
+  applyHyperFocusTier(getTier(hfTask));
   document.getElementById('hf-task').textContent = hfTask.name;
+  updateHyperFocusLink();
   document.getElementById('hf-timer').textContent = formatTime(hfTask.deadline);
-  document.getElementById('hf-timer').style.color = STATE_COLORS[state].color;
+  updateExtendButton();
+  renderHyperFocusSteps();
+  renderFocusSession();
   document.getElementById('hyperfocus').classList.add('active');
+  sendBoardPresence();
   
   // Request Wake Lock to prevent screen sleep
   requestWakeLock();
 }
 
+/**
+ * Colour the Hyper-Focus status and timer for a tier
+ * @param {object} tier - Tier
+ */
+function applyHyperFocusTier(tier) {
+  const statusEl = document.getElementById('hf-status');
+  statusEl.textContent = tier.name;
+  statusEl.style.color = tier.color;
+  statusEl.style.background = hexToRgba(tier.color, 0.13);
+  document.getElementById('hf-timer').style.color = tier.color;
+}
+
 function exitHyperFocus() {
   document.getElementById('hyperfocus').classList.remove('active');
   
@@ -795,6 +4534,8 @@ function exitHyperFocus() {
   if (indicator) indicator.remove();
   
   hfTask = null;
+  stopFocusSession();
+  sendBoardPresence();
 }
 
 function completeHyperFocus() {
@@ -804,13 +4545,286 @@ function completeHyperFocus() {
   }
 }
 
+// ==================== FOCUS SESSIONS ====================
+
+/*
+ * focusSession, while one runs in Hyper-Focus:
+ *   taskId        mission being worked on
+ *   phase         'work' or 'break'
+ *   phaseEnds     end of the current phase (running)
+ *   remaining     ms left in the phase (paused)
+ *   segmentStart  start of the uncredited stretch of work
+ *   completed     finished work intervals
+ * Focused work is credited to task.focusMs on pause, phase end and stop, so
+ * outcome events carry how much focus went into a mission.
+ */
+
+/**
+ * Validate a stored focus session
+ * @param {*} session - Candidate session
+ * @returns {object|null} Clean session, or null to drop it
+ */
+function normalizeFocusSession(session) {
+  if (!session || typeof session !== 'object') return null;
+  if (!isRecordId(session.taskId) || !['work', 'break'].includes(session.phase)) return null;
+  if (!isTime(session.phaseEnds) || !isTime(session.segmentStart)) return null;
+  if (session.remaining !== null && !isTime(session.remaining)) return null;
+  return {
+    taskId: session.taskId,
+    phase: session.phase,
+    phaseEnds: session.phaseEnds,
+    remaining: session.remaining,
+    segmentStart: session.segmentStart,
+    completed: isCount(session.completed, 0) ? session.completed : 0
+  };
+}
+
+/**
+ * Credit uncredited work time to the mission
+ * @param {number} now - Current timestamp
+ */
+function creditFocus(now) {
+  if (!focusSession || focusSession.phase !== 'work' || focusSession.remaining !== null) return;
+
+  const task = tasks.find(t => t.id === focusSession.taskId);
+  const end = Math.min(now, focusSession.phaseEnds);
+  if (task && end > focusSession.segmentStart) {
+    task.focusMs = (task.focusMs || 0) + (end - focusSession.segmentStart);
+  }
+  focusSession.segmentStart = end;
+}
+
+function startFocusSession() {
+  if (!hfTask) return;
+
+  const now = Date.now();
+  focusSession = {
+    taskId: hfTask.id,
+    phase: 'work',
+    phaseEnds: now + settings.focusWorkMins * MS_PER_MINUTE,
+    remaining: null,
+    segmentStart: now,
+    completed: 0
+  };
+  triggerHaptic('success');
+  saveState();
+  renderFocusSession();
+  scheduleNextWake();
+}
+
+function togglePauseFocusSession() {
+  if (!focusSession) return;
+
+  const now = Date.now();
+  if (focusSession.remaining === null) {
+    creditFocus(now);
+    focusSession.remaining = Math.max(0, focusSession.phaseEnds - now);
+  } else {
+    focusSession.phaseEnds = now + focusSession.remaining;
+    focusSession.segmentStart = now;
+    focusSession.remaining = null;
+  }
+  saveState();
+  renderFocusSession();
+  scheduleNextWake();
+}
+
+function stopFocusSession() {
+  if (!focusSession) return;
+
+  creditFocus(Date.now());
+  focusSession = null;
+  saveState();
+  renderFocusSession();
+}
+
+/**
+ * Move to the next phase once the current one is over. Phases that ran out
+ * entirely while the app was closed are not credited: the session waits,
+ * paused, at the start of the next work interval.
+ * @param {number} now - Current timestamp
+ */
+function advanceFocusSession(now) {
+  if (!focusSession || focusSession.remaining !== null || now < focusSession.phaseEnds) return;
+
+  const task = tasks.find(t => t.id === focusSession.taskId);
+  if (!task) {
+    focusSession = null;
+    saveState();
+    renderFocusSession();
+    return;
+  }
+
+  const endedAt = focusSession.phaseEnds;
+  if (focusSession.phase === 'work') {
+    creditFocus(endedAt);
+    focusSession.completed++;
+    recordEvent('session', task, { mins: settings.focusWorkMins });
+    focusSession.phase = 'break';
+    focusSession.phaseEnds = endedAt + settings.focusBreakMins * MS_PER_MINUTE;
+    playSound('success');
+    triggerHaptic('success');
+  } else {
+    focusSession.phase = 'work';
+    focusSession.phaseEnds = endedAt + settings.focusWorkMins * MS_PER_MINUTE;
+    focusSession.segmentStart = endedAt;
+    playSound('tick-ELEVATED');
+    triggerHaptic('critical');
+  }
+
+  if (now >= focusSession.phaseEnds) {
+    focusSession.phase = 'work';
+    focusSession.remaining = settings.focusWorkMins * MS_PER_MINUTE;
+  }
+
+  saveState();
+  renderFocusSession();
+}
+
+function renderFocusSession() {
+  const active = !!focusSession && !!hfTask && focusSession.taskId === hfTask.id;
+  const paused = active && focusSession.remaining !== null;
+
+  document.getElementById('hf-session-start').hidden = active;
+  document.getElementById('hf-session-pause').hidden = !active;
+  document.getElementById('hf-session-stop').hidden = !active;
+  document.getElementById('hf-session-pause').textContent = paused ? 'Resume' : 'Pause';
+  document.getElementById('hf-session').classList.toggle('running', active && !paused);
+  document.getElementById('hf-session').classList.toggle('on-break', active && focusSession.phase === 'break');
+
+  const focused = hfTask && hfTask.focusMs ? formatDuration(hfTask.focusMs) : '0m';
+  if (!active) {
+    document.getElementById('hf-session-phase').textContent = 'Focus Session';
+    document.getElementById('hf-session-timer').textContent =
+      formatTime(Date.now() + settings.focusWorkMins * MS_PER_MINUTE);
+    document.getElementById('hf-session-meta').textContent = `${focused} focused on this mission`;
+    return;
+  }
+
+  document.getElementById('hf-session-phase').textContent =
+    (focusSession.phase === 'work' ? 'Work' : 'Break') + (paused ? ' · Paused' : '');
+  document.getElementById('hf-session-timer').textContent = paused
+    ? formatTime(Date.now() + focusSession.remaining)
+    : formatTime(focusSession.phaseEnds);
+  document.getElementById('hf-session-meta').textContent =
+    `Session ${focusSession.completed + (focusSession.phase === 'work' ? 1 : 0)} · ${focused} focused`;
+}
+
+/**
+ * Reopen Hyper-Focus on the mission whose session was running before a reload
+ */
+function restoreFocusSession() {
+  if (!focusSession) return;
+
+  const task = tasks.find(t => t.id === focusSession.taskId);
+  if (!task) {
+    focusSession = null;
+    saveState();
+    return;
+  }
+
+  enterHyperFocus(task.id);
+  advanceFocusSession(Date.now());
+  renderFocusSession();
+  scheduleNextWake();
+}
+
 // ==================== TIMER ====================
 
-function startTimer() {
-  if (timerInterval) {
-    clearInterval(timerInterval);
+/*
+ * Two loops, both on the injectable clock:
+ * - The scheduler (createWakeLoop() in scheduler.js) sleeps until the next
+ *   moment state can change: a deadline, a tier threshold, a grave leaving
+ *   the graveyard or a focus phase ending (nextWakeAt). renderAll(),
+ *   renderGraveyard() and the focus session controls re-arm it after every
+ *   change, so nothing polls.
+ * - The display tick refreshes countdowns on each wall-clock second, only
+ *   while the page is visible.
+ * A wake that comes late (device sleep, background throttling), or while the
+ * page is hidden, settles everything that fell due at once and shows one
+ * summary instead of a burst of shatter animations.
+ */
+let displayTimer = null;
+let shatteredWhileAway = 0;
+const shatteringTasks = new Set(); // Mid-animation, already being handled
+
+const wakeLoop = createWakeLoop(
+  clock,
+  now => nextWakeAt(tasks, graveyard, focusSession, now, getTiers(), getGraveyardDuration()),
+  settleDue
+);
+
+/**
+ * Re-arm the scheduler for the next state change
+ */
+function scheduleNextWake() {
+  wakeLoop.arm();
+}
+
+/**
+ * Apply every state change that is due
+ * @param {boolean} catchUp - Settle quietly (startup, page shown again)
+ */
+function runScheduler(catchUp) {
+  wakeLoop.wake(catchUp);
+}
+
+/**
+ * The wake loop's work: expire, prune the graveyard, escalate tiers
+ * @param {number} now - Current timestamp
+ * @param {boolean} late - Catching up (see createWakeLoop())
+ */
+function settleDue(now, late) {
+  const quiet = late || document.hidden;
+
+  const due = tasks.filter(t => t.deadline <= now && !shatteringTasks.has(t.id));
+  if (quiet && due.length > 0) {
+    catchUpExpired(due, now);
+  } else {
+    due.forEach(task => handleTaskExpiration(task));
+  }
+  checkGraveyardExpiration(now);
+
+  // Filtered-out missions still escalate (sounds, haptics)
+  tasks.forEach(t => trackStateChange(t.id, getTier(t, now), quiet));
+  advanceFocusSession(now);
+  if (hfTask) {
+    applyHyperFocusTier(getTier(hfTask, now));
+  }
+
+  requestPaint();
+}
+
+/**
+ * Refresh the display on each wall-clock second while visible
+ */
+function startDisplayTick() {
+  clock.clearTimeout(displayTimer);
+  displayTimer = null;
+  if (document.hidden) return;
+
+  // Aligned to the second boundary, so the delay never accumulates drift
+  displayTimer = clock.setTimeout(() => {
+    updateTimers();
+    startDisplayTick();
+  }, MS_PER_SECOND - (clock.now() % MS_PER_SECOND));
+}
+
+function handleTimerVisibility() {
+  if (document.hidden) {
+    clock.clearTimeout(displayTimer);
+    displayTimer = null;
+    return;
   }
-  timerInterval = setInterval(updateTimers, MS_PER_SECOND);
+  runScheduler(true);
+  showAwaySummary();
+  startDisplayTick();
+}
+
+function startTimer() {
+  document.addEventListener('visibilitychange', handleTimerVisibility);
+  runScheduler(true);
+  startDisplayTick();
 }
 
 // ==================== EVENT LISTENERS ====================
@@ -830,6 +4844,11 @@ function setupEventListeners() {
     const target = e.target.closest('button');
     if (!target) return;
 
+    if (target.classList.contains('tag-chip')) {
+      setTaskFilter('tag', target.dataset.tag);
+      return;
+    }
+
     const taskId = target.dataset.taskId;
     if (!taskId) return;
 
@@ -837,6 +4856,10 @@ function setupEventListeners() {
       enterHyperFocus(taskId);
     } else if (target.classList.contains('btn-delete')) {
       deleteTask(taskId);
+    } else if (target.classList.contains('btn-extend')) {
+      extendTask(taskId);
+    } else if (target.classList.contains('btn-claim')) {
+      claimTask(taskId);
     } else if (target.classList.contains('btn-complete')) {
       completeTask(taskId);
     }
@@ -922,35 +4945,100 @@ function setupEventListeners() {
     }
   });
 
-  // Time presets
-  document.querySelectorAll('.time-preset').forEach(btn => {
-    btn.addEventListener('click', function() {
-      document.querySelectorAll('.time-preset').forEach(b => b.classList.remove('selected'));
-      this.classList.add('selected');
-      selectedMins = parseInt(this.dataset.mins, 10) || 60;
-    });
+  // Time presets (rendered from settings)
+  document.getElementById('time-presets').addEventListener('click', function(e) {
+    const btn = e.target.closest('.time-preset');
+    if (!btn) return;
+    updatePresetSelection(parseInt(btn.dataset.mins, 10) || settings.defaultTime);
+    // Picking a preset replaces any exact deadline
+    document.getElementById('deadline-input').value = '';
+    updateDeadlinePreview();
   });
+  document.getElementById('template-save-btn').addEventListener('click', saveModalAsTemplate);
 
   // Input validation
-  document.getElementById('task-input').addEventListener('input', function() {
-    document.getElementById('submit-btn').disabled = !this.value.trim();
+  document.getElementById('task-input').addEventListener('input', updateDeadlinePreview);
+  document.getElementById('deadline-input').addEventListener('input', function() {
+    document.querySelectorAll('.time-preset').forEach(b => {
+      b.classList.toggle('selected', !this.value.trim() && parseInt(b.dataset.mins, 10) === selectedMins);
+    });
+    updateDeadlinePreview();
+  });
+
+  // Filter bar
+  document.getElementById('task-search').addEventListener('input', function() {
+    setTaskFilter('query', this.value.trim());
+  });
+  document.getElementById('filter-project').addEventListener('change', function() {
+    setTaskFilter('project', this.value);
+  });
+  document.getElementById('filter-tag').addEventListener('change', function() {
+    setTaskFilter('tag', this.value);
+  });
+  document.getElementById('group-by').addEventListener('change', function() {
+    updateSetting('groupBy', this.value);
+  });
+  document.getElementById('filter-scope-stats').addEventListener('change', function() {
+    setTaskFilter('scopeStats', this.checked);
+  });
+
+  // Per-mission urgency
+  document.getElementById('urgency-select').addEventListener('change', renderUrgencyEditor);
+
+  // Repeat controls
+  document.getElementById('recurrence-select').addEventListener('change', updateRecurrenceUI);
+  document.querySelectorAll('.recurrence-day').forEach(btn => {
+    btn.addEventListener('click', function() {
+      this.setAttribute('aria-pressed', String(this.getAttribute('aria-pressed') !== 'true'));
+    });
   });
 
   // Enter key to submit
-  document.getElementById('task-input').addEventListener('keydown', function(e) {
-    if (e.key === 'Enter' && this.value.trim()) {
-      addTask();
-    }
+  ['task-input', 'deadline-input'].forEach(id => {
+    document.getElementById(id).addEventListener('keydown', function(e) {
+      if (e.key === 'Enter' && document.getElementById('task-input').value.trim()) {
+        addTask();
+      }
+    });
   });
 
   // Hyperfocus buttons
   document.getElementById('hf-exit-btn').addEventListener('click', exitHyperFocus);
   document.getElementById('hf-complete-btn').addEventListener('click', completeHyperFocus);
+  document.getElementById('hf-extend-btn').addEventListener('click', function() {
+    if (hfTask) extendTask(hfTask.id);
+  });
+
+  // Checklists, on cards and in Hyper-Focus
+  ['task-list', 'hf-steps'].forEach(id => {
+    document.getElementById(id).addEventListener('change', function(e) {
+      if (e.target.classList.contains('step-check')) {
+        toggleStep(e.target.dataset.taskId, e.target.dataset.stepId);
+      }
+    });
+  });
+  // Focus sessions
+  document.getElementById('hf-session-start').addEventListener('click', startFocusSession);
+  document.getElementById('hf-session-pause').addEventListener('click', togglePauseFocusSession);
+  document.getElementById('hf-session-stop').addEventListener('click', stopFocusSession);
+
+  document.getElementById('hf-step-form').addEventListener('submit', function(e) {
+    e.preventDefault();
+    const input = document.getElementById('hf-step-input');
+    if (hfTask && input.value.trim()) {
+      addStep(hfTask.id, input.value);
+      input.value = '';
+    }
+  });
 
   // Keyboard shortcuts
   document.addEventListener('keydown', function(e) {
     if (e.key === 'Escape') {
-      if (document.getElementById('hyperfocus').classList.contains('active')) {
+      if (document.getElementById('palette').classList.contains('active')) {
+        closePalette();
+      } else if (document.getElementById('shortcuts-modal').classList.contains('active')) {
+        closeShortcutHelp();
+      } else if (document.getElementById('hyperfocus').classList.contains('active')) {
         exitHyperFocus();
       } else if (document.getElementById('modal').classList.contains('active')) {
         closeModal();
@@ -958,6 +5046,35 @@ function setupEventListeners() {
     }
   });
 
+  document.addEventListener('keydown', handleShortcutKey);
+
+  document.getElementById('update-btn').addEventListener('click', applyUpdate);
+
+  document.getElementById('undo-toast-btn').addEventListener('click', function() {
+    const action = undoToastAction;
+    hideUndoToast();
+    if (action) action();
+  });
+
+  // Command palette and shortcut help
+  document.getElementById('palette-input').addEventListener('input', renderPalette);
+  document.getElementById('palette-input').addEventListener('keydown', handlePaletteKey);
+  document.getElementById('palette-list').addEventListener('click', function(e) {
+    const option = e.target.closest('[data-index]');
+    if (option) runPaletteCommand(Number(option.dataset.index));
+  });
+  document.getElementById('palette').addEventListener('click', function(e) {
+    if (e.target === this) {
+      closePalette();
+    }
+  });
+  document.getElementById('shortcuts-close').addEventListener('click', closeShortcutHelp);
+  document.getElementById('shortcuts-modal').addEventListener('click', function(e) {
+    if (e.target === this) {
+      closeShortcutHelp();
+    }
+  });
+
   // Close modal on overlay click
   document.getElementById('modal').addEventListener('click', function(e) {
     if (e.target === this) {
@@ -965,6 +5082,15 @@ function setupEventListeners() {
     }
   });
 
+  // Analytics
+  document.getElementById('analytics-btn').addEventListener('click', openAnalytics);
+  document.getElementById('analytics-close').addEventListener('click', closeAnalytics);
+  document.getElementById('analytics-modal').addEventListener('click', function(e) {
+    if (e.target === this) {
+      closeAnalytics();
+    }
+  });
+
   // Settings button
   document.getElementById('settings-btn').addEventListener('click', openSettings);
   
@@ -991,13 +5117,155 @@ function setupEventListeners() {
     updateSetting('graveyard', this.checked);
   });
   
+  document.getElementById('setting-graveyard-hours').addEventListener('change', function() {
+    updateSetting('graveyardHours', parseInt(this.value, 10) || DEFAULT_GRAVEYARD_HOURS);
+  });
+  
+  document.getElementById('setting-graveyard-deletes').addEventListener('change', function() {
+    updateSetting('graveyardDeletes', this.checked);
+  });
+  
+  document.getElementById('setting-notifications').addEventListener('change', function() {
+    toggleReminders(this);
+  });
+  
+  document.getElementById('setting-sync').addEventListener('change', function() {
+    updateSetting('syncEnabled', this.checked);
+  });
+  
+  document.getElementById('setting-sync-url').addEventListener('change', function() {
+    if (!updateSetting('syncUrl', this.value.trim())) this.value = settings.syncUrl;
+  });
+  
+  document.getElementById('sync-now-btn').addEventListener('click', syncNow);
+
+  // Shared board
+  document.getElementById('setting-relay-url').addEventListener('change', function() {
+    if (!updateSetting('relayUrl', this.value.trim())) this.value = settings.relayUrl;
+  });
+
+  document.getElementById('setting-board-id').addEventListener('change', function() {
+    const boardId = this.value.trim().replace(/[^\w-]/g, '-').slice(0, 64);
+    this.value = boardId;
+    updateSetting('boardId', boardId);
+  });
+
+  document.getElementById('setting-member-name').addEventListener('change', function() {
+    updateSetting('memberName', this.value.trim().slice(0, MAX_MEMBER_NAME_LENGTH));
+  });
+  
+  // Quarantine
+  document.getElementById('quarantine-export-btn').addEventListener('click', exportQuarantine);
+  document.getElementById('quarantine-discard-btn').addEventListener('click', discardQuarantine);
+  
+  window.addEventListener('online', syncNow);
+  
   document.getElementById('setting-default-time').addEventListener('change', function() {
     updateSetting('defaultTime', parseInt(this.value, 10));
   });
+
+  document.getElementById('setting-extend-mins').addEventListener('change', function() {
+    updateSetting('extendMins', parseInt(this.value, 10) || 15);
+  });
+
+  document.getElementById('setting-max-extensions').addEventListener('change', function() {
+    updateSetting('maxExtensions', parseInt(this.value, 10) || 0);
+  });
+
+  document.getElementById('setting-extend-streak').addEventListener('change', function() {
+    updateSetting('extendCostsStreak', this.checked);
+  });
+
+  document.getElementById('setting-focus-work').addEventListener('change', function() {
+    updateSetting('focusWorkMins', parseInt(this.value, 10) || 25);
+  });
+
+  document.getElementById('setting-focus-break').addEventListener('change', function() {
+    updateSetting('focusBreakMins', parseInt(this.value, 10) || 5);
+  });
+
+  document.getElementById('setting-undo-seconds').addEventListener('change', function() {
+    updateSetting('undoSeconds', parseInt(this.value, 10) || 8);
+  });
+
+  // Project editor
+  document.getElementById('project-list').addEventListener('change', saveProjectEditor);
+  document.getElementById('project-list').addEventListener('click', function(e) {
+    const btn = e.target.closest('.tier-remove');
+    if (btn) removeProject(btn.closest('.tier-row').dataset.projectId);
+  });
+  document.getElementById('project-add-btn').addEventListener('click', addProject);
+  document.getElementById('project-name-input').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') addProject();
+  });
+
+  // Preset editor
+  document.getElementById('preset-list').addEventListener('change', savePresetEditor);
+  document.getElementById('preset-list').addEventListener('click', function(e) {
+    const btn = e.target.closest('.preset-move, .tier-remove');
+    if (!btn) return;
+    const index = parseInt(btn.closest('.tier-row').dataset.index, 10);
+    if (btn.classList.contains('preset-move')) {
+      movePreset(index, parseInt(btn.dataset.step, 10));
+    } else {
+      removePreset(index);
+    }
+  });
+  document.getElementById('preset-add-btn').addEventListener('click', addPreset);
+  document.getElementById('preset-mins-input').addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') addPreset();
+  });
+
+  // Template editor
+  document.getElementById('template-list').addEventListener('change', saveTemplateEditor);
+  document.getElementById('template-list').addEventListener('click', function(e) {
+    const btn = e.target.closest('.tier-remove');
+    if (btn) removeTemplate(btn.closest('.template-row').dataset.templateId);
+  });
+  document.getElementById('template-add-btn').addEventListener('click', () => addTemplate());
+
+  // Urgency tier editor
+  document.getElementById('tier-list').addEventListener('change', saveTierEditor);
+  document.getElementById('tier-list').addEventListener('click', function(e) {
+    const btn = e.target.closest('.tier-remove');
+    if (btn) removeTier(btn.closest('.tier-row').dataset.tierId);
+  });
+  document.getElementById('tier-add-btn').addEventListener('click', addTier);
+  document.getElementById('tier-reset-btn').addEventListener('click', function() {
+    updateSetting('tiers', null);
+  });
   
   // Clear data button
   document.getElementById('clear-data-btn').addEventListener('click', clearAllData);
   
+  // Export / import
+  document.getElementById('export-json-btn').addEventListener('click', exportJson);
+  document.getElementById('export-csv-btn').addEventListener('click', exportCsv);
+  document.getElementById('import-btn').addEventListener('click', function() {
+    document.getElementById('import-file').click();
+  });
+  document.getElementById('import-file').addEventListener('change', function() {
+    if (this.files[0]) handleImportFile(this.files[0]);
+    this.value = '';
+  });
+  document.getElementById('ics-export-todo-btn').addEventListener('click', () => exportIcs('VTODO'));
+  document.getElementById('ics-export-event-btn').addEventListener('click', () => exportIcs('VEVENT'));
+  document.getElementById('ics-import-btn').addEventListener('click', function() {
+    document.getElementById('ics-file').click();
+  });
+  document.getElementById('ics-file').addEventListener('change', function() {
+    if (this.files[0]) handleIcsFile(this.files[0]);
+    this.value = '';
+  });
+  document.getElementById('import-merge-btn').addEventListener('click', () => applyImport('merge'));
+  document.getElementById('import-replace-btn').addEventListener('click', () => applyImport('replace'));
+  document.getElementById('import-cancel-btn').addEventListener('click', closeImportModal);
+  document.getElementById('import-modal').addEventListener('click', function(e) {
+    if (e.target === this) {
+      closeImportModal();
+    }
+  });
+  
   // Long-press for rapid entry on New Mission button
   const newTaskBtn = document.getElementById('new-task-btn');
   
@@ -1034,12 +5302,12 @@ function setupEventListeners() {
     cancelLongPress();
   });
   
-  // Quick preset buttons
-  document.querySelectorAll('.quick-preset-btn').forEach(btn => {
-    btn.addEventListener('click', function() {
-      const mins = parseInt(this.dataset.mins, 10);
-      addQuickTask(mins);
-    });
+  // Quick preset and template buttons
+  document.getElementById('quick-presets').addEventListener('click', function(e) {
+    const btn = e.target.closest('.quick-preset-btn');
+    if (!btn) return;
+    const template = btn.dataset.templateId ? findTemplate(btn.dataset.templateId) : null;
+    addQuickTask(template ? template.mins : parseInt(btn.dataset.mins, 10), template);
   });
   
   // Close quick presets on click outside
@@ -1054,6 +5322,511 @@ function setupEventListeners() {
   });
 }
 
+// ==================== UNDO ====================
+
+/*
+ * Every user action that changes missions records the state before and after
+ * it. Undo and redo swap those snapshots back in wholesale, so counters,
+ * streaks and the event log come back exactly as they were. Expiry at T=0
+ * is not undoable: the restored mission would only expire again. Settings
+ * are not part of the snapshots, so undoing a backup import brings back the
+ * missions, history and counters but keeps the imported settings.
+ *
+ * A swap is only safe while nothing else changed in between. Sync pulls,
+ * board changes, expirations and step edits are not recorded, so
+ * before swapping, undo and redo check that the state still matches the
+ * snapshot they expect. If it does not, both stacks are dropped rather than
+ * silently reverting that change (and pushing the revert to other devices).
+ */
+const UNDO_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let undoToastTimer = null;
+let undoToastAction = null;
+
+/**
+ * Copy everything an action can change
+ * @returns {object} Snapshot
+ */
+function captureUndoState() {
+  return {
+    tasks: structuredClone(tasks),
+    graveyard: structuredClone(graveyard),
+    eventLog: eventLog.slice(), // Events are never mutated, only appended
+    completedCount: completedCount,
+    expiredCount: expiredCount,
+    deletedCount: deletedCount,
+    streak: streak,
+    bestStreak: bestStreak
+  };
+}
+
+/**
+ * Comparable form of a snapshot. Revisions are left out: saving bumps them
+ * without changing anything.
+ * @param {object} state - From captureUndoState()
+ * @returns {string}
+ */
+function undoStateKey(state) {
+  const lastEvent = state.eventLog[state.eventLog.length - 1];
+  return JSON.stringify({
+    tasks: state.tasks.map(taskSignature),
+    graveyard: state.graveyard,
+    lastEvent: lastEvent ? lastEvent.id : null,
+    counters: [state.completedCount, state.expiredCount, state.deletedCount, state.streak, state.bestStreak]
+  });
+}
+
+/**
+ * Whether the current state is still exactly the given snapshot
+ * @param {object} snapshot - From captureUndoState()
+ * @returns {boolean}
+ */
+function isUndoStateCurrent(snapshot) {
+  return undoStateKey(captureUndoState()) === undoStateKey(snapshot);
+}
+
+/**
+ * Drop undo and redo after a change they would revert along with theirs
+ */
+function discardUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  hideUndoToast();
+  showStorageNotification('Nothing to undo: missions changed since (sync, board, timer or checklist)');
+}
+
+/**
+ * Put a snapshot back and redraw
+ * @param {object} snapshot - From captureUndoState()
+ */
+function restoreUndoState(snapshot) {
+  const state = structuredClone(snapshot);
+  tasks = state.tasks;
+  graveyard = state.graveyard;
+  eventLog = state.eventLog;
+  completedCount = state.completedCount;
+  expiredCount = state.expiredCount;
+  deletedCount = state.deletedCount;
+  streak = state.streak;
+  bestStreak = state.bestStreak;
+
+  if (focusSession && !tasks.some(t => t.id === focusSession.taskId)) {
+    stopFocusSession();
+  }
+  if (hfTask) {
+    const current = tasks.find(t => t.id === hfTask.id);
+    if (current) {
+      hfTask = current;
+      updateHyperFocusLink();
+      updateExtendButton();
+      renderHyperFocusSteps();
+    } else {
+      exitHyperFocus();
+    }
+  }
+
+  renderAll();
+  renderGraveyard();
+  updateStats();
+  saveState();
+}
+
+/**
+ * Push a finished action onto the undo stack and offer to undo it
+ * @param {string} label - What happened, e.g. "Completed Report"
+ * @param {object} before - Snapshot taken before the action
+ */
+function recordUndo(label, before) {
+  undoStack.push({ label: label, before: before, after: captureUndoState() });
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+  showUndoToast(label, 'Undo', undo);
+}
+
+function undo() {
+  const entry = undoStack[undoStack.length - 1];
+  if (!entry) return;
+  if (!isUndoStateCurrent(entry.after)) {
+    discardUndoHistory();
+    return;
+  }
+
+  undoStack.pop();
+  restoreUndoState(entry.before);
+  redoStack.push(entry);
+  showUndoToast('Undid: ' + entry.label, 'Redo', redo);
+}
+
+function redo() {
+  const entry = redoStack[redoStack.length - 1];
+  if (!entry) return;
+  if (!isUndoStateCurrent(entry.before)) {
+    discardUndoHistory();
+    return;
+  }
+
+  redoStack.pop();
+  restoreUndoState(entry.after);
+  undoStack.push(entry);
+  showUndoToast(entry.label, 'Undo', undo);
+}
+
+/**
+ * Show the undo toast for the configured window
+ * @param {string} message - Toast text
+ * @param {string} actionLabel - 'Undo' or 'Redo'
+ * @param {function} action - Run by the toast button
+ */
+function showUndoToast(message, actionLabel, action) {
+  document.getElementById('undo-toast-message').textContent = message;
+  document.getElementById('undo-toast-btn').textContent = actionLabel;
+  document.getElementById('undo-toast').classList.add('active');
+  undoToastAction = action;
+
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, settings.undoSeconds * 1000);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  undoToastAction = null;
+  document.getElementById('undo-toast').classList.remove('active');
+}
+
+// ==================== KEYBOARD ====================
+
+/*
+ * Single-key shortcuts act on the selected mission (moved with j/k) and only
+ * fire while no dialog, Hyper-Focus or text field has the keyboard.
+ * Ctrl/Cmd+K opens the command palette, which fuzzy-finds commands and
+ * mission actions.
+ */
+const SHORTCUTS = [
+  { keys: ['Ctrl', 'K'], desc: 'Command palette' },
+  { keys: ['N'], desc: 'New mission' },
+  { keys: ['J'], desc: 'Select next mission' },
+  { keys: ['K'], desc: 'Select previous mission' },
+  { keys: ['C'], desc: 'Complete selected mission' },
+  { keys: ['F'], desc: 'Hyper-Focus on selected mission' },
+  { keys: ['X'], desc: 'Delete selected mission' },
+  { keys: ['Ctrl', 'Z'], desc: 'Undo' },
+  { keys: ['Ctrl', 'Shift', 'Z'], desc: 'Redo' },
+  { keys: ['/'], desc: 'Search missions' },
+  { keys: ['?'], desc: 'Show shortcuts' },
+  { keys: ['Esc'], desc: 'Close dialog or Hyper-Focus' }
+];
+const MAX_PALETTE_RESULTS = 30;
+
+let selectedTaskId = null;
+let paletteCommands = [];
+let paletteIndex = 0;
+
+/**
+ * Score how well a query fuzzy-matches a text: every query character must
+ * appear in order. Consecutive runs and word starts score higher.
+ * @param {string} query - Typed query
+ * @param {string} text - Candidate text
+ * @returns {number} Score, or -1 when it does not match
+ */
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let run = 0;
+  let pos = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, pos);
+    if (found === -1) return -1;
+    run = found === pos ? run + 1 : 1;
+    score += run + (found === 0 || /[\s#:·-]/.test(t[found - 1]) ? 3 : 0);
+    pos = found + 1;
+  }
+  return score - t.length * 0.01; // Shorter labels win ties
+}
+
+/**
+ * Whether a key event comes from somewhere that takes text
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean}
+ */
+function isTypingTarget(e) {
+  const el = e.target;
+  return !!el && (el.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName));
+}
+
+/**
+ * Whether a dialog or Hyper-Focus currently owns the keyboard
+ * @returns {boolean}
+ */
+function isOverlayOpen() {
+  return !!document.querySelector('.modal-overlay.active, .hyperfocus.active');
+}
+
+/**
+ * IDs of the missions shown in the list, top to bottom
+ * @returns {string[]}
+ */
+function visibleTaskIds() {
+  return [...document.querySelectorAll('#task-list .task-card')].map(card => card.id.slice('task-'.length));
+}
+
+/**
+ * Select a mission card and scroll it into view
+ * @param {string|null} id - Task ID
+ */
+function selectTask(id) {
+  document.querySelectorAll('#task-list .task-card.selected').forEach(card => card.classList.remove('selected'));
+  selectedTaskId = id;
+
+  const card = id && document.getElementById('task-' + id);
+  if (card) {
+    card.classList.add('selected');
+    card.focus();
+  }
+}
+
+/**
+ * Move the selection through the visible missions
+ * @param {number} step - 1 for next, -1 for previous
+ */
+function moveSelection(step) {
+  const ids = visibleTaskIds();
+  if (ids.length === 0) return;
+
+  const current = ids.indexOf(selectedTaskId);
+  const next = current === -1
+    ? (step > 0 ? 0 : ids.length - 1)
+    : Math.min(ids.length - 1, Math.max(0, current + step));
+  selectTask(ids[next]);
+}
+
+/**
+ * Run an action on the selected mission, keeping a selection in the list
+ * @param {function} action - (id) => void
+ */
+function actOnSelection(action) {
+  const ids = visibleTaskIds();
+  const index = ids.indexOf(selectedTaskId);
+  if (index === -1) return;
+
+  action(selectedTaskId);
+  const remaining = visibleTaskIds();
+  if (!remaining.includes(selectedTaskId)) {
+    selectTask(remaining[Math.min(index, remaining.length - 1)] || null);
+  }
+}
+
+/**
+ * Global single-key shortcuts
+ * @param {KeyboardEvent} e - Key event
+ */
+function handleShortcutKey(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+    if (!isOverlayOpen() || document.getElementById('palette').classList.contains('active')) {
+      e.preventDefault();
+      togglePalette();
+    }
+    return;
+  }
+  // Text fields keep their own undo
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && !isTypingTarget(e) && !isOverlayOpen()) {
+    const key = e.key.toLowerCase();
+    if (key === 'z' || key === 'y') {
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) redo();
+      else undo();
+    }
+    return;
+  }
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat || isTypingTarget(e) || isOverlayOpen()) return;
+
+  const actions = {
+    n: openModal,
+    j: () => moveSelection(1),
+    k: () => moveSelection(-1),
+    c: () => actOnSelection(completeTask),
+    f: () => actOnSelection(enterHyperFocus),
+    x: () => actOnSelection(deleteTask),
+    '/': () => document.getElementById('task-search').focus(),
+    '?': openShortcutHelp
+  };
+  const action = actions[e.key.toLowerCase()];
+  if (action) {
+    e.preventDefault();
+    action();
+  }
+}
+
+/**
+ * Everything the palette can run
+ * @returns {Array} [{ label, hint, run }]
+ */
+function buildPaletteCommands() {
+  const commands = [
+    { label: 'New mission', hint: 'N', run: openModal },
+    { label: 'Open analytics', hint: '', run: openAnalytics },
+    { label: 'Open settings', hint: '', run: openSettings },
+    { label: 'Search missions', hint: '/', run: () => document.getElementById('task-search').focus() },
+    { label: 'Keyboard shortcuts', hint: '?', run: openShortcutHelp }
+  ];
+  getTemplates().forEach(t => {
+    commands.push({ label: 'Template: ' + t.name, hint: formatPreset(t.mins), run: () => addQuickTask(t.mins, t) });
+  });
+  if (undoStack.length > 0) {
+    commands.push({ label: 'Undo: ' + undoStack[undoStack.length - 1].label, hint: 'Ctrl Z', run: undo });
+  }
+  if (redoStack.length > 0) {
+    commands.push({ label: 'Redo: ' + redoStack[redoStack.length - 1].label, hint: 'Ctrl Shift Z', run: redo });
+  }
+
+  tasks.forEach(t => {
+    const tags = (t.tags || []).map(tag => ' #' + tag).join('');
+    const label = t.name + tags;
+    commands.push(
+      { label: 'Focus: ' + label, hint: formatTime(t.deadline), run: () => enterHyperFocus(t.id) },
+      { label: 'Complete: ' + label, hint: '', run: () => completeTask(t.id) }
+    );
+    if (extensionsLeft(t) > 0) {
+      commands.push({ label: 'Extend: ' + label, hint: '+' + settings.extendMins + 'm', run: () => extendTask(t.id) });
+    }
+    commands.push({ label: 'Delete: ' + label, hint: '', run: () => deleteTask(t.id) });
+  });
+  return commands;
+}
+
+function renderPalette() {
+  const query = document.getElementById('palette-input').value.trim();
+  paletteCommands = buildPaletteCommands()
+    .map(command => ({ command: command, score: fuzzyScore(query, command.label) }))
+    .filter(entry => entry.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_PALETTE_RESULTS)
+    .map(entry => entry.command);
+  paletteIndex = 0;
+
+  document.getElementById('palette-list').innerHTML = paletteCommands.map((command, i) => `
+    <li class="palette-option" role="option" id="palette-option-${i}" data-index="${i}" aria-selected="false">
+      <span class="palette-label">${escapeHtml(command.label)}</span>
+      ${command.hint ? `<span class="palette-hint">${escapeHtml(command.hint)}</span>` : ''}
+    </li>
+  `).join('') || '<li class="palette-empty">No matching commands</li>';
+  highlightPaletteOption(0);
+}
+
+/**
+ * Move the palette highlight
+ * @param {number} index - Option index
+ */
+function highlightPaletteOption(index) {
+  const input = document.getElementById('palette-input');
+  if (paletteCommands.length === 0) {
+    input.removeAttribute('aria-activedescendant');
+    return;
+  }
+
+  paletteIndex = (index + paletteCommands.length) % paletteCommands.length;
+  document.querySelectorAll('#palette-list .palette-option').forEach((option, i) => {
+    option.setAttribute('aria-selected', String(i === paletteIndex));
+  });
+  const active = document.getElementById('palette-option-' + paletteIndex);
+  input.setAttribute('aria-activedescendant', active.id);
+  active.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Arrow keys move, Enter runs
+ * @param {KeyboardEvent} e - Key event
+ */
+function handlePaletteKey(e) {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    highlightPaletteOption(paletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    runPaletteCommand(paletteIndex);
+  }
+}
+
+/**
+ * Close the palette and run one of its commands
+ * @param {number} index - Option index
+ */
+function runPaletteCommand(index) {
+  const command = paletteCommands[index];
+  if (!command) return;
+  closePalette();
+  command.run();
+}
+
+/**
+ * Show a dialog with focus trapped inside, remembering what had focus
+ * @param {string} id - Overlay ID
+ * @param {HTMLElement} initialFocus - Element to focus
+ */
+function openKeyboardDialog(id, initialFocus) {
+  const overlay = document.getElementById(id);
+  overlay._returnFocus = document.activeElement;
+  overlay.classList.add('active');
+  overlay._cleanupFocusTrap = trapFocus(overlay);
+  initialFocus.focus();
+}
+
+/**
+ * Hide a dialog opened with openKeyboardDialog and restore focus
+ * @param {string} id - Overlay ID
+ */
+function closeKeyboardDialog(id) {
+  const overlay = document.getElementById(id);
+  if (!overlay.classList.contains('active')) return;
+
+  overlay.classList.remove('active');
+  if (overlay._cleanupFocusTrap) {
+    overlay._cleanupFocusTrap();
+    delete overlay._cleanupFocusTrap;
+  }
+  if (overlay._returnFocus && document.contains(overlay._returnFocus)) {
+    overlay._returnFocus.focus();
+  }
+  delete overlay._returnFocus;
+}
+
+function openPalette() {
+  const input = document.getElementById('palette-input');
+  input.value = '';
+  renderPalette();
+  openKeyboardDialog('palette', input);
+}
+
+function closePalette() {
+  closeKeyboardDialog('palette');
+}
+
+function togglePalette() {
+  if (document.getElementById('palette').classList.contains('active')) {
+    closePalette();
+  } else {
+    openPalette();
+  }
+}
+
+function openShortcutHelp() {
+  document.getElementById('shortcuts-list').innerHTML = SHORTCUTS.map(s => `
+    <li class="shortcut-row">
+      <span class="shortcut-keys">${s.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' + ')}</span>
+      <span class="shortcut-desc">${escapeHtml(s.desc)}</span>
+    </li>
+  `).join('');
+  openKeyboardDialog('shortcuts-modal', document.getElementById('shortcuts-close'));
+}
+
+function closeShortcutHelp() {
+  closeKeyboardDialog('shortcuts-modal');
+}
+
 // ==================== FOCUS TRAPPING ====================
 
 function trapFocus(container) {
@@ -1110,15 +5883,38 @@ closeModal = function() {
 
 // ==================== SERVICE WORKER ====================
 
+/*
+ * A new worker installs alongside the running one and waits. "Update now"
+ * saves state, stashes what only lives on screen (an open New Mission draft,
+ * the Hyper-Focus mission) in sessionStorage, then tells the worker to take
+ * over; the page reloads on controllerchange and picks the stash back up.
+ */
+const RELOAD_SESSION_KEY = STORAGE_KEY_PREFIX + 'reload-session';
+const DRAFT_FIELDS = ['task-input', 'deadline-input', 'project-select', 'tags-input', 'link-input', 'steps-input'];
+
+let waitingWorker = null;
+let updateRequested = false;
+
 function registerServiceWorker() {
   if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // First installs also claim the page; only reload for a requested update
+      if (updateRequested) {
+        updateRequested = false;
+        window.location.reload();
+      }
+    });
     navigator.serviceWorker.register('/sw.js')
       .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdateBanner(registration.waiting);
+        }
         registration.addEventListener('updatefound', () => {
           const newWorker = registration.installing;
           newWorker.addEventListener('statechange', () => {
             if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-              showStorageNotification('New version available! Refresh to update.');
+              showUpdateBanner(newWorker);
             }
           });
         });
@@ -1129,28 +5925,283 @@ function registerServiceWorker() {
   }
 }
 
+/**
+ * Offer to switch to an installed update
+ * @param {ServiceWorker} worker - The waiting worker
+ */
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  document.getElementById('update-btn').disabled = false;
+  document.getElementById('update-banner').hidden = false;
+}
+
+/**
+ * Wait until every queued save has been written
+ */
+async function flushPendingSave() {
+  saveState();
+  await Promise.resolve(); // Let saveState() chain its write
+  await saveChain;
+}
+
+async function applyUpdate() {
+  if (!waitingWorker) return;
+  document.getElementById('update-btn').disabled = true;
+
+  await flushPendingSave();
+  stashReloadSession();
+
+  // Another tab may have activated it already
+  if (waitingWorker.state === 'activated') {
+    window.location.reload();
+    return;
+  }
+  updateRequested = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * Keep on-screen work that is not part of saved state across the reload
+ */
+function stashReloadSession() {
+  const session = { hyperFocusId: hfTask ? hfTask.id : null, draft: null };
+  if (document.getElementById('modal').classList.contains('active')) {
+    session.draft = {};
+    DRAFT_FIELDS.forEach(id => {
+      session.draft[id] = document.getElementById(id).value;
+    });
+  }
+  try {
+    sessionStorage.setItem(RELOAD_SESSION_KEY, JSON.stringify(session));
+  } catch (e) {
+    console.warn('[App] Could not keep session across reload:', e);
+  }
+}
+
+/**
+ * Reopen the draft or Hyper-Focus stashed before an update reload
+ */
+function restoreReloadSession() {
+  let session = null;
+  try {
+    session = JSON.parse(sessionStorage.getItem(RELOAD_SESSION_KEY));
+    sessionStorage.removeItem(RELOAD_SESSION_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!session) return;
+
+  if (session.draft) {
+    openModal();
+    DRAFT_FIELDS.forEach(id => {
+      if (typeof session.draft[id] === 'string') {
+        document.getElementById(id).value = session.draft[id];
+      }
+    });
+    updateDeadlinePreview();
+  } else if (session.hyperFocusId) {
+    enterHyperFocus(session.hyperFocusId);
+  }
+}
+
+/**
+ * Handle messages posted by the service worker (notification actions)
+ * @param {MessageEvent} event - Message event
+ */
+function handleServiceWorkerMessage(event) {
+  const data = event.data || {};
+
+  if (data.type === 'FOCUS_TASK') {
+    enterHyperFocus(data.taskId);
+  } else if (data.type === 'SNOOZE_REMINDER') {
+    snoozeReminder(data.taskId);
+  } else if (data.type === 'SYNC_FLUSHED') {
+    syncNow();
+  }
+}
+
 // ==================== URL SHORTCUTS ====================
 
+/*
+ * URL actions, used by the manifest shortcuts, the Android app and
+ * bookmarklets. Parameters are read once after startup, then removed from
+ * the address bar so a reload does not repeat the action.
+ *
+ *   ?action=new                      open the New Mission modal
+ *   ?action=new&mins=30              ... with the 30 minute window selected
+ *   ?action=new&at=tomorrow%209am    ... with a typed deadline filled in
+ *   ?action=new&name=Call%20Ana      ... with the name filled in; it may
+ *                                    carry an inline "@17:00" deadline
+ *   ?action=focus[&id=<task id>]     Hyper-Focus on a mission (default: most urgent)
+ *   ?action=complete&id=<task id>    complete a mission, after confirming (undoable)
+ *
+ * Any page can link here, so a URL never changes missions on its own: new
+ * missions wait for Deploy in the modal, completions for a confirmation.
+ */
+const MAX_URL_MINUTES = 30 * 24 * 60;
+
+/**
+ * Read a minutes parameter
+ * @param {string|null} value - Raw parameter
+ * @returns {number|null} Whole minutes in range, else null
+ */
+function parseUrlMinutes(value) {
+  if (!/^\d{1,6}$/.test(value || '')) return null;
+  const mins = parseInt(value, 10);
+  return mins >= 1 && mins <= MAX_URL_MINUTES ? mins : null;
+}
+
 function handleUrlShortcuts() {
   const params = new URLSearchParams(window.location.search);
-  if (params.get('action') === 'new') {
-    setTimeout(openModal, 100);
-    window.history.replaceState({}, '', window.location.pathname);
+  const action = params.get('action');
+  if (!action) {
+    handleSharedContent(params);
+    return;
+  }
+  window.history.replaceState({}, '', window.location.pathname);
+
+  if (action === 'new') {
+    const mins = parseUrlMinutes(params.get('mins'));
+    if (mins !== null) selectedMins = mins;
+    setTimeout(() => {
+      openModal();
+      updatePresetSelection(selectedMins);
+      document.getElementById('task-input').value = (params.get('name') || '').slice(0, MAX_TASK_NAME_LENGTH);
+      document.getElementById('deadline-input').value = (params.get('at') || '').slice(0, MAX_TASK_NAME_LENGTH);
+      updateDeadlinePreview();
+    }, 100);
+  } else if (action === 'focus' || action === 'complete') {
+    // Tasks are kept sorted by urgency
+    const id = params.get('id') || (action === 'focus' && tasks.length > 0 ? tasks[0].id : null);
+    const task = tasks.find(t => t.id === id);
+    if (!task) {
+      showStorageNotification('That mission no longer exists.');
+    } else if (action === 'focus') {
+      enterHyperFocus(id);
+    } else if (confirm(`Complete "${task.name}"?`)) {
+      completeTask(id);
+    }
+  } else {
+    showStorageNotification('Unknown action: ' + action.slice(0, 40));
+  }
+}
+
+// ==================== SHARE TARGET ====================
+
+/*
+ * manifest.json declares a GET share target on the app root, so a share
+ * arrives as ?title=&text=&url= (any may be missing; many apps put the link
+ * inside text). Shared content only pre-fills the New Mission modal.
+ * Links are kept on task.link and only ever rendered as http(s) hrefs.
+ */
+
+/**
+ * Accept only absolute http(s) links
+ * @param {string} value - Candidate link
+ * @returns {string|null} Normalised link
+ */
+function normalizeLink(value) {
+  const text = String(value || '').trim();
+  if (!text || text.length > MAX_LINK_LENGTH) return null;
+  try {
+    const url = new URL(text);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Split shared title/text/url into a mission name and a link
+ * @param {string} title - Shared title
+ * @param {string} text - Shared text
+ * @param {string} url - Shared URL
+ * @returns {{name: string, link: string|null}}
+ */
+function resolveSharedContent(title, text, url) {
+  const clean = value => String(value || '').replace(/\s+/g, ' ').trim();
+  let body = clean(text);
+  let link = normalizeLink(url);
+
+  if (!link) {
+    const found = body.match(/https?:\/\/\S+/);
+    link = found ? normalizeLink(found[0]) : null;
+  }
+  if (link) {
+    body = clean(body.split(link).join(' ').replace(/https?:\/\/\S+/, ''));
+  }
+
+  let name = clean(title) || body;
+  if (!name && link) name = new URL(link).hostname;
+  return { name: name.slice(0, MAX_TASK_NAME_LENGTH), link: link };
+}
+
+/**
+ * Open the New Mission modal with anything shared to the app
+ * @param {URLSearchParams} params - URL parameters
+ */
+function handleSharedContent(params) {
+  if (!['title', 'text', 'url'].some(key => params.has(key))) return;
+  window.history.replaceState({}, '', window.location.pathname);
+
+  const shared = resolveSharedContent(params.get('title'), params.get('text'), params.get('url'));
+  if (!shared.name && !shared.link) return;
+
+  setTimeout(() => {
+    openModal();
+    document.getElementById('task-input').value = shared.name;
+    document.getElementById('link-input').value = shared.link || '';
+    updateDeadlinePreview();
+  }, 100);
+}
+
+/**
+ * Link chip for a card
+ * @param {object} task - Task
+ * @returns {string} HTML
+ */
+function renderTaskLink(task) {
+  const link = normalizeLink(task.link);
+  if (!link) return '';
+  return `<a class="task-link" href="${escapeHtml(link)}" target="_blank" rel="noopener noreferrer">↗ ${escapeHtml(new URL(link).hostname)}</a>`;
+}
+
+/**
+ * Show the focused mission's link in Hyper-Focus
+ */
+function updateHyperFocusLink() {
+  const anchor = document.getElementById('hf-link');
+  const link = hfTask ? normalizeLink(hfTask.link) : null;
+  anchor.hidden = !link;
+  if (link) {
+    anchor.href = link;
+    anchor.textContent = '↗ ' + new URL(link).hostname;
+  } else {
+    anchor.removeAttribute('href');
   }
 }
 
 // ==================== INITIALIZATION ====================
 
-function init() {
-  loadState();
+async function init() {
+  await loadState();
+  resetSyncState();
+  renderPresetButtons();
   renderAll();
   renderGraveyard();
   updateStats();
   setupEventListeners();
   startTimer();
+  configureSync();
+  connectBoard();
+  restoreFocusSession();
+  restoreReloadSession();
+
+  // Browsers only allow audio after a user gesture
+  document.addEventListener('pointerdown', unlockAudio);
+  document.addEventListener('keydown', unlockAudio);
 }
 
 // Start the app
-init();
-registerServiceWorker();
-handleUrlShortcuts();
\ No newline at end of file
+init().then(handleUrlShortcuts);
+registerServiceWorker();
\ No newline at end of file
@@ -0,0 +1,561 @@
+/**
+ * NOW OR NEVER - iCalendar
+ * @version 1.0.0
+ *
+ * Reads and writes RFC 5545 calendars (.ics).
+ *
+ * Reading: VEVENT and VTODO components, with DTSTART/DUE as UTC ("...Z"),
+ * TZID (any IANA zone the browser knows; unknown zones such as Windows names
+ * fall back to local time), floating local time or all-day dates. An all-day
+ * date means the end of that day (23:59), as in timeparse.js. RRULE is
+ * expanded (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH), minus
+ * EXDATE and instances moved by a RECURRENCE-ID override. A rule using
+ * anything this expansion can't honour (BYSETPOS, BYWEEKNO, BYHOUR...,
+ * BYDAY under DAILY, BYMONTH outside YEARLY) is not guessed at: only the
+ * explicit DTSTART is imported.
+ *
+ * Writing: one VTODO (DUE) or VEVENT (DTSTART) per item, with an optional
+ * display alarm before it and an optional RRULE. Lines are folded at 75 octets.
+ *
+ * Free of DOM access, so it also loads in Node for testing.
+ */
+'use strict';
+
+const ICS_DAY = 24 * 60 * 60000;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_FREQ_MS = { SECONDLY: 1000, MINUTELY: 60000, HOURLY: 60 * 60000 };
+const ICS_MAX_PERIODS = 5000; // Expansion gives up after this many periods
+const ICS_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', 'BYDAY', 'BYMONTHDAY', 'BYMONTH'];
+const ICS_LINE_OCTETS = 75;
+
+// ==================== TEXT ====================
+
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeIcsText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Fold a content line at 75 octets without splitting a UTF-8 character
+ * @param {string} line - Unfolded line
+ * @returns {string} Line with CRLF + space continuations
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = utf8Length(char);
+    const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1; // Continuations start with a space
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code < 0x10000 ? 3 : 4;
+}
+
+/**
+ * Split a calendar into content lines: { name, params, value }
+ * @param {string} text - Calendar text
+ * @returns {Array}
+ */
+function parseIcsLines(text) {
+  return String(text)
+    .replace(/\r?\n[ \t]/g, '') // Unfold
+    .split(/\r?\n/)
+    .map(parseIcsLine)
+    .filter(Boolean);
+}
+
+/**
+ * Parse one content line, NAME;PARAM=a,"b:c":value
+ * @param {string} line - Unfolded line
+ * @returns {{name: string, params: object, value: string}|null}
+ */
+function parseIcsLine(line) {
+  let i = 0;
+  let quoted = false;
+  // The value starts at the first colon outside a quoted parameter value
+  while (i < line.length && (quoted || line[i] !== ':')) {
+    if (line[i] === '"') quoted = !quoted;
+    i++;
+  }
+  if (i >= line.length) return null;
+
+  const head = line.slice(0, i);
+  const params = {};
+  const pieces = head.match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const name = (pieces.shift() || '').trim().toUpperCase();
+  if (!name) return null;
+
+  pieces.forEach(piece => {
+    const eq = piece.indexOf('=');
+    if (eq === -1) return;
+    params[piece.slice(0, eq).trim().toUpperCase()] = piece.slice(eq + 1).replace(/"/g, '');
+  });
+  return { name: name, params: params, value: line.slice(i + 1) };
+}
+
+// ==================== DATES ====================
+
+/*
+ * Times are kept as { wall, zone } until they are placed on the timeline:
+ *   wall  the written date and time as if it were UTC (Date.UTC fields)
+ *   zone  'UTC', 'local' (floating and all-day) or an IANA TZID
+ * Recurrences step the wall time, so a series keeps its clock time across DST.
+ */
+
+/**
+ * Offset of a time zone from UTC at a moment
+ * @param {number} time - Timestamp
+ * @param {string} timeZone - IANA zone
+ * @returns {number} ms to add to UTC to get wall time
+ */
+function zoneOffset(time, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time));
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) -
+    Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Place a wall time on the timeline
+ * @param {number} wall - Wall time as UTC fields
+ * @param {string} zone - 'UTC', 'local' or an IANA TZID
+ * @returns {number} Timestamp
+ */
+function wallToTime(wall, zone) {
+  if (zone === 'UTC') return wall;
+
+  if (zone !== 'local') {
+    try {
+      // Twice, so a wall time next to a DST change lands on the right side
+      const guess = wall - zoneOffset(wall, zone);
+      return wall - zoneOffset(guess, zone);
+    } catch (err) {
+      // Unknown zone name: treat as local time
+    }
+  }
+  const date = new Date(wall);
+  return new Date(
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+  ).getTime();
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ * @param {string} value - "20260301", "20260301T090000" or "20260301T090000Z"
+ * @param {object} [params={}] - Line parameters (TZID, VALUE)
+ * @returns {{wall: number, zone: string, allDay: boolean}|null}
+ */
+function parseIcsDate(value, params = {}) {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const allDay = hours === undefined;
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day),
+    allDay ? 23 : Number(hours), allDay ? 59 : Number(minutes), allDay ? 0 : Number(seconds));
+  if (new Date(wall).getUTCDate() !== Number(day)) return null; // 20260231
+
+  let zone = 'local';
+  if (utc) {
+    zone = 'UTC';
+  } else if (!allDay && params.TZID) {
+    zone = params.TZID.replace(/^\//, ''); // Some exporters prefix a slash
+  }
+  return { wall: wall, zone: zone, allDay: allDay };
+}
+
+function formatIcsUtc(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatIcsLocal(time) {
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) +
+    'T' + pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+}
+
+/**
+ * Format a duration, e.g. -PT15M or P1DT2H
+ * @param {number} ms - Duration, negative for "before"
+ * @returns {string}
+ */
+function formatIcsDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let seconds = Math.round(Math.abs(ms) / 1000);
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  let time = '';
+  if (hours) time += hours + 'H';
+  if (minutes) time += minutes + 'M';
+  if (seconds || (!days && !time)) time += seconds + 'S';
+  return sign + 'P' + (days ? days + 'D' : '') + (time ? 'T' + time : '');
+}
+
+// ==================== RECURRENCE ====================
+
+/**
+ * Parse an RRULE value
+ * @param {string} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231T000000Z"
+ * @param {string} [zone='local'] - Zone of DTSTART, for a floating UNTIL
+ * @returns {object|null} { freq, interval, count, until, byDay: [{ day, nth }], byMonthDay, byMonth },
+ *   or null if the rule is invalid or uses parts periodOccurrences() can't expand
+ */
+function parseRrule(value, zone = 'local') {
+  const parts = {};
+  String(value).split(';').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq > 0) parts[part.slice(0, eq).trim().toUpperCase()] = part.slice(eq + 1).trim().toUpperCase();
+  });
+
+  // BYSETPOS, BYWEEKNO, BYYEARDAY, BYHOUR, RSCALE... would change the instances
+  if (Object.keys(parts).some(name => !ICS_RULE_PARTS.includes(name))) return null;
+
+  const freqs = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+  if (!freqs.includes(parts.FREQ)) return null;
+
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL, {}) : null;
+  const byDay = (parts.BYDAY || '').split(',').filter(Boolean).map(text => {
+    const match = text.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    return match ? { day: ICS_WEEKDAYS.indexOf(match[2]), nth: match[1] ? parseInt(match[1], 10) : 0 } : null;
+  });
+  const numbers = text => (text || '').split(',').filter(Boolean).map(n => (/^[+-]?\d{1,2}$/.test(n) ? parseInt(n, 10) : NaN));
+  const byMonthDay = numbers(parts.BYMONTHDAY);
+  const byMonth = numbers(parts.BYMONTH);
+  if (byDay.includes(null) || (parts.UNTIL && !until)) return null;
+  if (!byMonthDay.every(n => n && Math.abs(n) <= 31) || !byMonth.every(n => n >= 1 && n <= 12)) return null;
+
+  // Which BY* parts each frequency can expand
+  const hasDay = byDay.length > 0;
+  const hasMonthDay = byMonthDay.length > 0;
+  const hasMonth = byMonth.length > 0;
+  const ordinals = byDay.some(d => d.nth !== 0);
+  if (hasMonth && parts.FREQ !== 'YEARLY') return null;
+  if (hasDay && hasMonthDay) return null;
+  if (ICS_FREQ_MS[parts.FREQ] || parts.FREQ === 'DAILY') {
+    if (hasDay || hasMonthDay) return null;
+  } else if (parts.FREQ === 'WEEKLY') {
+    if (hasMonthDay || ordinals) return null;
+  } else if (parts.FREQ === 'YEARLY') {
+    if ((hasDay || hasMonthDay) && !hasMonth) return null;
+  }
+
+  // Week numbering only matters for every-other-week rules on set days
+  const interval = parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1;
+  if (!(interval >= 1)) return null;
+  if (parts.WKST && parts.WKST !== 'MO' && parts.FREQ === 'WEEKLY' && hasDay && interval > 1) return null;
+
+  return {
+    freq: parts.FREQ,
+    interval: interval,
+    count: parts.COUNT ? Math.max(0, parseInt(parts.COUNT, 10) || 0) : null,
+    until: until ? wallToTime(until.wall, until.zone === 'UTC' ? 'UTC' : zone) : null,
+    byDay: byDay,
+    byMonthDay: byMonthDay,
+    byMonth: byMonth
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Wall times of a monthly rule within one month, in order
+ * @param {object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - 0-based month
+ * @param {Date} start - DTSTART wall time (UTC fields)
+ * @returns {number[]}
+ */
+function monthOccurrences(rule, year, month, start) {
+  const length = daysInMonth(year, month);
+  let days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay.map(n => (n > 0 ? n : length + n + 1));
+  } else if (rule.byDay.length > 0) {
+    rule.byDay.forEach(({ day, nth }) => {
+      const matching = [];
+      for (let d = 1; d <= length; d++) {
+        if (new Date(Date.UTC(year, month, d)).getUTCDay() === day) matching.push(d);
+      }
+      if (nth === 0) {
+        days.push(...matching);
+      } else {
+        days.push(nth > 0 ? matching[nth - 1] : matching[matching.length + nth]);
+      }
+    });
+  } else {
+    days = [start.getUTCDate()];
+  }
+
+  return [...new Set(days)]
+    .filter(d => d >= 1 && d <= length) // The 31st skips short months
+    .sort((a, b) => a - b)
+    .map(d => Date.UTC(year, month, d, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()));
+}
+
+/**
+ * Wall times of one period (the i-th day, week, month...) of a rule
+ * @param {object} rule - Parsed rule
+ * @param {number} startWall - DTSTART wall time
+ * @param {number} i - Period index
+ * @returns {number[]} In order
+ */
+function periodOccurrences(rule, startWall, i) {
+  const start = new Date(startWall);
+  const step = i * rule.interval;
+
+  if (ICS_FREQ_MS[rule.freq]) {
+    return [startWall + step * ICS_FREQ_MS[rule.freq]];
+  }
+  if (rule.freq === 'DAILY') {
+    return [startWall + step * ICS_DAY];
+  }
+  if (rule.freq === 'WEEKLY') {
+    if (rule.byDay.length === 0) return [startWall + step * 7 * ICS_DAY];
+    // Weeks start on Monday (the RFC default WKST)
+    const weekStart = startWall - ((start.getUTCDay() + 6) % 7) * ICS_DAY + step * 7 * ICS_DAY;
+    return rule.byDay
+      .map(({ day }) => weekStart + ((day + 6) % 7) * ICS_DAY)
+      .sort((a, b) => a - b);
+  }
+  if (rule.freq === 'MONTHLY') {
+    const months = start.getUTCMonth() + step;
+    return monthOccurrences(rule, start.getUTCFullYear() + Math.floor(months / 12), months % 12, start);
+  }
+
+  // YEARLY: the DTSTART month (or BYMONTH months), on the DTSTART day unless BY* says otherwise
+  const year = start.getUTCFullYear() + step;
+  const months = rule.byMonth.length > 0 ? rule.byMonth.map(m => m - 1) : [start.getUTCMonth()];
+  return months.sort((a, b) => a - b).flatMap(month => monthOccurrences(rule, year, month, start));
+}
+
+/**
+ * First occurrence of a series after a moment
+ * @param {{wall: number, zone: string}} start - DTSTART
+ * @param {object|null} rule - Parsed RRULE, or null for a single occurrence
+ * @param {number[]} exdates - Excluded timestamps
+ * @param {number} after - Timestamp; the result is later than this
+ * @returns {number|null} Timestamp, or null when the series is over
+ */
+function nextIcsOccurrence(start, rule, exdates, after) {
+  const startTime = wallToTime(start.wall, start.zone);
+  if (!rule) {
+    return startTime > after && !exdates.includes(startTime) ? startTime : null;
+  }
+
+  // Without COUNT the periods before `after` need not be walked one by one
+  let first = 0;
+  const period = ICS_FREQ_MS[rule.freq] || { DAILY: ICS_DAY, WEEKLY: 7 * ICS_DAY }[rule.freq];
+  if (rule.count === null && period && after > startTime) {
+    first = Math.max(0, Math.floor((after - startTime) / (period * rule.interval)) - 1);
+  }
+
+  let seen = 0;
+  for (let i = first; i < first + ICS_MAX_PERIODS; i++) {
+    for (const wall of periodOccurrences(rule, start.wall, i)) {
+      if (wall < start.wall) continue; // DTSTART is the first instance
+      const time = wallToTime(wall, start.zone);
+      if (rule.until !== null && time > rule.until) return null;
+      seen++;
+      if (rule.count !== null && seen > rule.count) return null;
+      if (time > after && !exdates.includes(time)) return time;
+    }
+  }
+  return null;
+}
+
+// ==================== READING ====================
+
+/**
+ * Read the VEVENT and VTODO components of a calendar
+ * @param {string} text - Calendar text
+ * @returns {Array} [{ type, props: { NAME: [{ params, value }] } }]
+ */
+function parseIcsComponents(text) {
+  const components = [];
+  const stack = [];
+
+  parseIcsLines(text).forEach(line => {
+    if (line.name === 'BEGIN') {
+      const component = { type: line.value.trim().toUpperCase(), props: {} };
+      stack.push(component);
+      if (component.type === 'VEVENT' || component.type === 'VTODO') components.push(component);
+    } else if (line.name === 'END') {
+      stack.pop();
+    } else if (stack.length > 0) {
+      // Nested VALARMs keep their own props
+      const props = stack[stack.length - 1].props;
+      (props[line.name] = props[line.name] || []).push({ params: line.params, value: line.value });
+    }
+  });
+  return components;
+}
+
+/**
+ * Upcoming items of a calendar, one per event or to-do (the next occurrence
+ * of a series). Cancelled and completed items are skipped.
+ * @param {string} text - Calendar text
+ * @param {number} now - Current timestamp
+ * @returns {Array} [{ uid, type, summary, description, url, categories,
+ *   deadline, rrule, startDay }] by deadline; rrule is the parsed rule of a
+ *   series and startDay the weekday (0 = Sunday) of its first instance
+ */
+function readIcsItems(text, now) {
+  const first = (component, name) => (component.props[name] || [])[0];
+  const textOf = (component, name) => {
+    const prop = first(component, name);
+    return prop ? unescapeIcsText(prop.value).trim() : '';
+  };
+  const dateOf = prop => (prop ? parseIcsDate(prop.value, prop.params) : null);
+  const timesOf = props => (props || []).flatMap(prop =>
+    prop.value.split(',').map(value => dateOf({ value: value, params: prop.params })).filter(Boolean)
+      .map(date => wallToTime(date.wall, date.zone)));
+
+  const components = parseIcsComponents(text);
+
+  // Overrides (RECURRENCE-ID) move single instances out of their series
+  const moved = {};
+  components.forEach(component => {
+    const uid = textOf(component, 'UID');
+    const original = dateOf(first(component, 'RECURRENCE-ID'));
+    if (uid && original) {
+      (moved[uid] = moved[uid] || []).push(wallToTime(original.wall, original.zone));
+    }
+  });
+
+  const items = [];
+  components.forEach(component => {
+    const status = textOf(component, 'STATUS').toUpperCase();
+    if (status === 'CANCELLED' || status === 'COMPLETED') return;
+
+    const start = component.type === 'VTODO'
+      ? dateOf(first(component, 'DUE')) || dateOf(first(component, 'DTSTART'))
+      : dateOf(first(component, 'DTSTART'));
+    if (!start) return;
+
+    const recurrenceId = first(component, 'RECURRENCE-ID');
+    const isOverride = !!recurrenceId;
+    const uid = textOf(component, 'UID');
+    const rruleProp = isOverride ? null : first(component, 'RRULE');
+    const rrule = rruleProp ? parseRrule(rruleProp.value, start.zone) : null;
+    const exdates = timesOf(component.props.EXDATE).concat(isOverride ? [] : moved[uid] || []);
+
+    const deadline = nextIcsOccurrence(start, rrule, exdates, now);
+    if (deadline === null) return;
+
+    items.push({
+      uid: isOverride ? uid + '/' + recurrenceId.value : uid, // One per moved instance
+      type: component.type,
+      summary: textOf(component, 'SUMMARY'),
+      description: textOf(component, 'DESCRIPTION'),
+      url: textOf(component, 'URL'),
+      categories: (component.props.CATEGORIES || [])
+        .flatMap(prop => prop.value.split(/(?<!\\),/).map(unescapeIcsText))
+        .map(c => c.trim())
+        .filter(Boolean),
+      deadline: deadline,
+      rrule: rrule,
+      startDay: new Date(start.wall).getUTCDay()
+    });
+  });
+
+  return items.sort((a, b) => a.deadline - b.deadline);
+}
+
+// ==================== WRITING ====================
+
+/**
+ * Write a calendar
+ * @param {Array} items - [{ uid, type: 'VTODO'|'VEVENT', summary, description?,
+ *   url?, categories?, time, created, floating?, rrule?, alarm? }] where
+ *   floating writes local wall time (for series), rrule is an RRULE value and
+ *   alarm is ms before `time` for a display alarm
+ * @param {number} now - DTSTAMP
+ * @returns {string} Calendar text, CRLF line endings
+ */
+function buildIcs(items, now) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NOW OR NEVER//Missions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:NOW OR NEVER'
+  ];
+
+  items.forEach(item => {
+    const when = item.floating ? formatIcsLocal(item.time) : formatIcsUtc(item.time);
+    lines.push('BEGIN:' + item.type);
+    lines.push('UID:' + item.uid);
+    lines.push('DTSTAMP:' + formatIcsUtc(now));
+    lines.push('CREATED:' + formatIcsUtc(item.created));
+    lines.push((item.type === 'VTODO' ? 'DUE:' : 'DTSTART:') + when);
+    if (item.type === 'VTODO') lines.push('STATUS:NEEDS-ACTION');
+    lines.push('SUMMARY:' + escapeIcsText(item.summary));
+    if (item.description) lines.push('DESCRIPTION:' + escapeIcsText(item.description));
+    if (item.url) lines.push('URL:' + item.url);
+    if (item.categories && item.categories.length > 0) {
+      lines.push('CATEGORIES:' + item.categories.map(escapeIcsText).join(','));
+    }
+    if (item.rrule) lines.push('RRULE:' + item.rrule);
+    if (item.alarm) {
+      lines.push('BEGIN:VALARM');
+      lines.push('ACTION:DISPLAY');
+      lines.push('DESCRIPTION:' + escapeIcsText(item.summary));
+      // A VTODO alarm is relative to DTSTART unless it says END (the DUE time)
+      lines.push((item.type === 'VTODO' ? 'TRIGGER;RELATED=END:' : 'TRIGGER:') + formatIcsDuration(-item.alarm));
+      lines.push('END:VALARM');
+    }
+    lines.push('END:' + item.type);
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseIcsLine, parseIcsDate, parseRrule, nextIcsOccurrence,
+    readIcsItems, buildIcs, foldIcsLine, escapeIcsText, unescapeIcsText, formatIcsDuration
+  };
+}
@@ -0,0 +1,20 @@
+/**
+ * NOW OR NEVER - Precache manifest
+ * Generated by tools/build-precache.js; do not edit by hand.
+ */
+
+const PRECACHE_VERSION = '95978ce4ed54';
+
+const PRECACHE_MANIFEST = [
+  { url: '/index.html', revision: '79f8a7dc126e' },
+  { url: '/manifest.json', revision: '8d4a4b9ec0ca' },
+  { url: '/styles.css', revision: 'bed1ddfe05d3' },
+  { url: '/records.js', revision: 'b0510c07fa57' },
+  { url: '/storage.js', revision: 'db02824266c1' },
+  { url: '/sync.js', revision: '4fdca183c9f9' },
+  { url: '/timeparse.js', revision: 'a5c86086d43b' },
+  { url: '/scheduler.js', revision: '1b90e7fcf839' },
+  { url: '/ics.js', revision: 'f0f49433fce5' },
+  { url: '/app.js', revision: '4fdb2f648f10' },
+  { url: '/icons/icon.svg', revision: '68d33286276f' }
+];
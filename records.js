@@ -0,0 +1,262 @@
+/**
+ * NOW OR NEVER - Record Checks
+ * @version 1.0.0
+ *
+ * Shared by the page (app.js, storage.js), the service worker (sw.js) and the
+ * Node tools. Every way a record gets in goes through these checks: reads
+ * from storage, sync pulls, shared-board changes and imports.
+ *
+ * A normalizer returns a clean copy holding only known fields, or null if
+ * any known field has the wrong shape. Callers quarantine or skip nulls;
+ * a malformed record never reaches rendering.
+ */
+'use strict';
+
+// Task, step, project and board ids; ids end up in markup attributes
+const RECORD_ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_TASK_NAME_LENGTH = 200;
+const MAX_STEPS = 20; // Checklist steps per mission
+const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 24;
+const MAX_LINK_LENGTH = 2048;
+const MAX_CALENDAR_UID_LENGTH = 1024;
+const MAX_MEMBER_NAME_LENGTH = 40;
+const MAX_RECURRENCE_HOURS = 168;
+const MAX_THRESHOLD_MINS = 7 * 24 * 60;
+const GRAVE_CAUSES = ['expired', 'deleted'];
+
+// ==================== VALUES ====================
+
+function isRecordId(value) {
+  return typeof value === 'string' && RECORD_ID_PATTERN.test(value);
+}
+
+function isTime(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isCount(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {*} rule - Candidate rule
+ * @returns {object|null} Clean rule, or null if not a valid rule
+ */
+function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+
+  if (rule.type === 'daily' || rule.type === 'weekdays') {
+    return { type: rule.type };
+  }
+  if (rule.type === 'weekly') {
+    const days = Array.isArray(rule.days)
+      ? [...new Set(rule.days)].filter((d) => Number.isInteger(d) && d >= 0 && d <= 6).sort()
+      : [];
+    return days.length > 0 ? { type: 'weekly', days: days } : null;
+  }
+  if (rule.type === 'hourly') {
+    const hours = parseInt(rule.hours, 10);
+    return hours >= 1 && hours <= MAX_RECURRENCE_HOURS ? { type: 'hourly', hours: hours } : null;
+  }
+  return null;
+}
+
+/**
+ * Validate an urgency threshold
+ * @param {*} threshold - Candidate
+ * @returns {object|null} Clean threshold
+ */
+function normalizeThreshold(threshold) {
+  if (!threshold || typeof threshold !== 'object') return null;
+  const value = Number(threshold.value);
+  if (threshold.unit === 'min' && value > 0 && value <= MAX_THRESHOLD_MINS) {
+    return { unit: 'min', value: value };
+  }
+  if (threshold.unit === 'pct' && value > 0 && value <= 100) {
+    return { unit: 'pct', value: value };
+  }
+  return null;
+}
+
+// ==================== FIELDS ====================
+
+/*
+ * Field checks: value => clean value, or undefined if the value is invalid.
+ * null and undefined fields count as absent.
+ */
+
+function checkName(value) {
+  return typeof value === 'string' && value.trim() ? value.slice(0, MAX_TASK_NAME_LENGTH) : undefined;
+}
+
+function checkTags(value) {
+  if (!Array.isArray(value) || !value.every((tag) => typeof tag === 'string' && tag)) return undefined;
+  return value.slice(0, MAX_TAGS).map((tag) => tag.slice(0, MAX_TAG_LENGTH));
+}
+
+function checkSteps(value) {
+  if (!Array.isArray(value) || value.length > MAX_STEPS) return undefined;
+  const valid = value.every((step) =>
+    !!step &&
+    isRecordId(step.id) &&
+    typeof step.text === 'string' &&
+    typeof step.done === 'boolean'
+  );
+  return valid
+    ? value.map((step) => ({ id: step.id, text: step.text.slice(0, MAX_TASK_NAME_LENGTH), done: step.done }))
+    : undefined;
+}
+
+function checkThresholds(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+  const clean = {};
+  for (const tierId of Object.keys(value)) {
+    const threshold = normalizeThreshold(value[tierId]);
+    if (!isRecordId(tierId) || !threshold) return undefined;
+    clean[tierId] = threshold;
+  }
+  return clean;
+}
+
+function checkClaim(value) {
+  return value && isRecordId(value.id) && typeof value.name === 'string'
+    ? { id: value.id, name: value.name.slice(0, MAX_MEMBER_NAME_LENGTH) }
+    : undefined;
+}
+
+const checkId = (value) => (isRecordId(value) ? value : undefined);
+const checkTime = (value) => (isTime(value) ? value : undefined);
+const checkString = (max) => (value) => (typeof value === 'string' && value.length <= max ? value : undefined);
+const checkCount = (min) => (value) => (isCount(value, min) ? value : undefined);
+const checkRecurrence = (value) => normalizeRecurrence(value) || undefined;
+
+const TASK_FIELDS = {
+  id: checkId,
+  name: checkName,
+  deadline: checkTime,
+  scheduledDeadline: checkTime,
+  created: checkTime,
+  rev: checkCount(1),
+  steps: checkSteps,
+  tags: checkTags,
+  project: checkId,
+  link: checkString(MAX_LINK_LENGTH),
+  thresholds: checkThresholds,
+  recurrence: checkRecurrence,
+  seriesId: checkId,
+  occurrence: checkCount(1),
+  extensions: checkCount(0),
+  focusMs: (value) => (isTime(value) && value >= 0 ? value : undefined),
+  board: checkId,
+  claimedBy: checkClaim,
+  calendarUid: checkString(MAX_CALENDAR_UID_LENGTH)
+};
+
+const GRAVE_FIELDS = {
+  id: checkId,
+  name: checkName,
+  deadline: checkTime,
+  created: checkTime,
+  expiredAt: checkTime,
+  cause: (value) => (GRAVE_CAUSES.includes(value) ? value : undefined),
+  steps: checkSteps,
+  tags: checkTags,
+  project: checkId,
+  link: checkString(MAX_LINK_LENGTH),
+  thresholds: checkThresholds,
+  recurrence: checkRecurrence,
+  occurrence: checkCount(1),
+  board: checkId
+};
+
+/**
+ * Check a record against a field table
+ * @param {*} record - Candidate record
+ * @param {object} fields - Field name -> check
+ * @param {string[]} required - Fields that must be present
+ * @returns {object|null} Clean copy with only known fields, in their original order
+ */
+function normalizeRecord(record, fields, required) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+  const clean = {};
+  for (const key of Object.keys(record)) {
+    const value = record[key];
+    if (!Object.prototype.hasOwnProperty.call(fields, key) || value === undefined || value === null) continue;
+    const checked = fields[key](value);
+    if (checked === undefined) return null;
+    clean[key] = checked;
+  }
+  return required.every((key) => key in clean) ? clean : null;
+}
+
+// ==================== RECORDS ====================
+
+/**
+ * Validate an active mission
+ * @param {*} task - Candidate task
+ * @returns {object|null} Clean task
+ */
+function normalizeTask(task) {
+  return normalizeRecord(task, TASK_FIELDS, ['id', 'name', 'deadline', 'created']);
+}
+
+/**
+ * Validate a graveyard entry. Resurrection needs created and deadline.
+ * @param {*} grave - Candidate grave
+ * @returns {object|null} Clean grave; cause defaults to 'expired'
+ */
+function normalizeGrave(grave) {
+  const clean = normalizeRecord(grave, GRAVE_FIELDS, ['id', 'name', 'deadline', 'created', 'expiredAt']);
+  if (clean && !clean.cause) clean.cause = 'expired';
+  return clean;
+}
+
+/**
+ * Validate a history event. Events are immutable, so a valid one is
+ * returned as is; only the fields filters and charts read are checked.
+ * @param {*} event - Candidate event
+ * @returns {object|null} The event
+ */
+function normalizeEvent(event) {
+  if (!event || typeof event !== 'object') return null;
+  if (typeof event.id !== 'string' || typeof event.type !== 'string' || !isTime(event.at)) return null;
+  if (event.name !== undefined && typeof event.name !== 'string') return null;
+  if (event.project !== undefined && typeof event.project !== 'string') return null;
+  if (event.tags !== undefined && checkTags(event.tags) === undefined) return null;
+  const numbers = ['created', 'deadline', 'stepsDone', 'stepsTotal', 'focusMs', 'added'];
+  return numbers.every((key) => event[key] === undefined || isTime(event[key])) ? event : null;
+}
+
+/**
+ * Validate a change from the network (sync server or board relay)
+ * @param {*} change - Candidate change
+ * @returns {boolean}
+ */
+function isValidChange(change) {
+  // Ids go into markup (id="task-…", data-task-id) unescaped
+  if (!change || !isRecordId(change.id) || !Number.isInteger(change.rev)) {
+    return false;
+  }
+  if (change.op === 'delete') return true;
+  return change.op === 'put' &&
+    !!change.task &&
+    change.task.id === change.id &&
+    normalizeTask(change.task) !== null;
+}
+
+// Node (stand-in servers, tests) shares the same checks
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RECORD_ID_PATTERN,
+    isRecordId,
+    normalizeRecurrence,
+    normalizeThreshold,
+    normalizeTask,
+    normalizeGrave,
+    normalizeEvent,
+    isValidChange
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * NOW OR NEVER - Scheduling
+ * @version 1.0.0
+ *
+ * When things happen on their own: urgency tiers, reminders and the wake
+ * loop that settles missions as they run out (see TIMER in app.js). Free of
+ * DOM access and of app state; tasks, tiers and the time come in as
+ * arguments, timers through an injected clock ({ now, setTimeout,
+ * clearTimeout }), so it also loads in Node and runs against a fake clock
+ * in tests.
+ */
+'use strict';
+
+const MAX_TIMER_DELAY = 2147483647; // setTimeout overflows past ~24.8 days
+const CATCH_UP_LATENESS = 2000; // A wake this late means the device slept or the tab was throttled
+const REMINDER_TAG_PREFIX = 'non-reminder-';
+
+// ==================== TIERS ====================
+
+/**
+ * Time left at which a task enters a tier. task.thresholds are validated on
+ * the way in (records.js, the New Mission modal).
+ * @param {object} task - Task
+ * @param {object} tier - Tier
+ * @returns {number} ms
+ */
+function tierThresholdMs(task, tier) {
+  const threshold = (task.thresholds && task.thresholds[tier.id]) || tier.threshold;
+  if (!threshold) return Infinity;
+  return threshold.unit === 'min'
+    ? threshold.value * 60000
+    : (threshold.value / 100) * Math.max(0, task.deadline - task.created);
+}
+
+/**
+ * Tier of a task at a given moment
+ * @param {object} task - Task with deadline and created
+ * @param {number} now - Timestamp
+ * @param {Array} tiers - Tier list, least urgent first
+ * @returns {object} Tier
+ */
+function tierAt(task, now, tiers) {
+  const remaining = task.deadline - now;
+  if (remaining <= 0) return tiers[tiers.length - 1];
+  for (let i = tiers.length - 1; i > 0; i--) {
+    if (remaining <= tierThresholdMs(task, tiers[i])) return tiers[i];
+  }
+  return tiers[0];
+}
+
+// ==================== REMINDERS ====================
+
+/**
+ * Build the list of upcoming reminders, one per tier above the base
+ * @param {Array} taskList - Active tasks
+ * @param {number} now - Current timestamp
+ * @param {object} snoozes - taskId -> snoozed re-reminder timestamp
+ * @param {Array} tiers - Urgency tiers
+ * @returns {Array} Reminder entries sorted by fire time
+ */
+function buildReminderSchedule(taskList, now, snoozes, tiers) {
+  const schedule = [];
+
+  taskList.forEach(task => {
+    tiers.slice(1).forEach(tier => {
+      const at = task.deadline - tierThresholdMs(task, tier);
+      // Skip crossed thresholds and ones the task was already inside when created
+      if (at <= now || at < task.created) return;
+      schedule.push({
+        tag: REMINDER_TAG_PREFIX + task.id + ':' + tier.id,
+        taskId: task.id,
+        name: task.name,
+        state: tier.name,
+        effect: tier.effect,
+        deadline: task.deadline,
+        at: at
+      });
+    });
+
+    const snoozedUntil = snoozes[task.id];
+    if (snoozedUntil && snoozedUntil > now && snoozedUntil < task.deadline) {
+      const tier = tierAt(task, snoozedUntil, tiers);
+      schedule.push({
+        tag: REMINDER_TAG_PREFIX + task.id + ':snooze',
+        taskId: task.id,
+        name: task.name,
+        state: tier.name,
+        effect: tier.effect,
+        deadline: task.deadline,
+        at: snoozedUntil,
+        snoozed: true
+      });
+    }
+  });
+
+  return schedule.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Compare a new schedule with what is already scheduled, so that only
+ * changed reminders are touched
+ * @param {Map|null} scheduled - tag -> { at, signature } from the last diff; null at first
+ * @param {Array} schedule - Entries from buildReminderSchedule()
+ * @param {number} now - Current timestamp
+ * @returns {{added: Array, removed: string[], scheduled: Map, reset: boolean}}
+ *   Entries to (re)schedule, tags to cancel and the map for the next diff;
+ *   reset when nothing is known yet and leftovers must all be cancelled
+ */
+function diffReminders(scheduled, schedule, now) {
+  const next = new Map();
+  const added = [];
+  schedule.forEach(entry => {
+    const signature = [entry.at, entry.deadline, entry.name, entry.state, entry.effect].join('\n');
+    const previous = scheduled && scheduled.get(entry.tag);
+    next.set(entry.tag, { at: entry.at, signature: signature });
+    if (!previous || previous.signature !== signature) added.push(entry);
+  });
+
+  // Entries that came due just drop out: cancelling would close a shown reminder
+  const removed = scheduled
+    ? [...scheduled].filter(([tag, item]) => !next.has(tag) && item.at > now).map(([tag]) => tag)
+    : [];
+  return { added: added, removed: removed, scheduled: next, reset: !scheduled };
+}
+
+/**
+ * Page timers that fire reminders, for platforms without Notification Triggers
+ * @param {object} clock - { now, setTimeout, clearTimeout }
+ * @param {Function} fire - entry => void
+ * @returns {{apply: Function}} apply(changes) takes a diffReminders() result
+ */
+function createReminderTimers(clock, fire) {
+  const timers = new Map(); // tag -> timer id
+
+  function cancel(tag) {
+    clock.clearTimeout(timers.get(tag));
+    timers.delete(tag);
+  }
+
+  function apply(changes) {
+    if (changes.reset) [...timers.keys()].forEach(cancel);
+    changes.removed.forEach(cancel);
+
+    const now = clock.now();
+    changes.added.forEach(entry => {
+      cancel(entry.tag);
+      timers.set(entry.tag, clock.setTimeout(() => {
+        timers.delete(entry.tag);
+        fire(entry);
+      }, Math.max(0, entry.at - now)));
+    });
+  }
+
+  return { apply: apply };
+}
+
+// ==================== WAKE LOOP ====================
+
+/**
+ * Earliest future moment at which state changes on its own
+ * @param {Array} taskList - Active tasks
+ * @param {Array} graves - Graveyard
+ * @param {object|null} session - Focus session
+ * @param {number} now - Current timestamp
+ * @param {Array} tiers - Urgency tiers
+ * @param {number} graveDuration - Graveyard window in ms
+ * @returns {number} Timestamp, or Infinity when nothing is pending
+ */
+function nextWakeAt(taskList, graves, session, now, tiers, graveDuration) {
+  let next = Infinity;
+  const consider = at => {
+    if (at > now && at < next) next = at;
+  };
+
+  taskList.forEach(task => {
+    consider(task.deadline);
+    tiers.slice(1).forEach(tier => consider(task.deadline - tierThresholdMs(task, tier)));
+  });
+  graves.forEach(g => consider(g.expiredAt + graveDuration));
+  if (session && session.remaining === null) {
+    consider(session.phaseEnds);
+  }
+  return next;
+}
+
+/**
+ * A single timer that sleeps until the next state change. A wake that comes
+ * more than CATCH_UP_LATENESS after it was due (device sleep, background
+ * throttling) is flagged late, so the caller settles quietly.
+ * @param {object} clock - { now, setTimeout, clearTimeout }
+ * @param {Function} nextWake - now => timestamp of the next change (or Infinity)
+ * @param {Function} run - (now, quiet) => void; applies what is due
+ * @returns {{arm: Function, wake: Function}} arm() re-reads nextWake;
+ *   wake(catchUp) runs now, quietly if catchUp (startup, page shown again)
+ */
+function createWakeLoop(clock, nextWake, run) {
+  let timer = null;
+  let expectedAt = null;
+
+  function arm() {
+    clock.clearTimeout(timer);
+    timer = null;
+
+    const now = clock.now();
+    const at = nextWake(now);
+    if (at === Infinity) {
+      expectedAt = null;
+      return;
+    }
+    const delay = Math.min(at - now, MAX_TIMER_DELAY);
+    expectedAt = now + delay;
+    timer = clock.setTimeout(() => wake(false), delay);
+  }
+
+  function wake(catchUp) {
+    clock.clearTimeout(timer);
+    timer = null;
+
+    const now = clock.now();
+    const late = expectedAt !== null && now - expectedAt > CATCH_UP_LATENESS;
+    run(now, catchUp || late);
+    arm();
+  }
+
+  return { arm: arm, wake: wake };
+}
+
+/**
+ * Message for missions that shattered while the user was away
+ * @param {number} count - Missions settled quietly
+ * @returns {string|null} null when there is nothing to say
+ */
+function formatAwaySummary(count) {
+  if (count === 0) return null;
+  return count === 1
+    ? '1 mission shattered while you were away'
+    : `${count} missions shattered while you were away`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_TIMER_DELAY, REMINDER_TAG_PREFIX, tierThresholdMs, tierAt, buildReminderSchedule,
+    diffReminders, createReminderTimers, nextWakeAt, createWakeLoop, formatAwaySummary
+  };
+}
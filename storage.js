@@ -0,0 +1,415 @@
+/**
+ * NOW OR NEVER - Persistence
+ * @version 1.0.0
+ *
+ * Versioned IndexedDB store for app state, used by saveState()/loadState()
+ * in app.js.
+ *
+ * Object stores:
+ *   tasks       keyPath 'id'     active missions
+ *   graveyard   keyPath 'id'     dead missions inside the recovery window
+ *   history     keyPath 'id'     append-only event log (v2), index 'at'
+ *   meta        out-of-line key  completedCount, expiredCount, deletedCount,
+ *                                streak, bestStreak, settings, focusSession,
+ *                                migratedFrom
+ *   quarantine  autoIncrement    { store, record, reason, at } for records
+ *                                that failed validation
+ *
+ * Records that fail validation are moved to `quarantine`, never dropped.
+ * Validation is shared with sync, boards and imports (records.js).
+ */
+'use strict';
+
+const STATE_DB_NAME = 'now-or-never';
+const STATE_DB_VERSION = 2;
+const STATE_STORES = ['tasks', 'graveyard', 'history', 'meta', 'quarantine'];
+
+// Stores holding records keyed by id; immutable ones are never rewritten
+const RECORD_STORES = ['tasks', 'graveyard', 'history'];
+const IMMUTABLE_STORES = ['history'];
+
+// Schema migrations, keyed by the version they upgrade to: (db, tx) => void
+const STATE_DB_MIGRATIONS = {
+  1: (db) => {
+    db.createObjectStore('tasks', { keyPath: 'id' });
+    db.createObjectStore('graveyard', { keyPath: 'id' });
+    db.createObjectStore('meta');
+    db.createObjectStore('quarantine', { autoIncrement: true });
+  },
+  2: (db) => {
+    const history = db.createObjectStore('history', { keyPath: 'id' });
+    history.createIndex('at', 'at');
+  }
+};
+
+// Checks per record store: record => clean record, or null (records.js)
+const RECORD_NORMALIZERS = {
+  tasks: (record) => normalizeTask(record),
+  graveyard: (record) => normalizeGrave(record),
+  history: (record) => normalizeEvent(record)
+};
+
+// What was last written per store, so saves only touch changed records
+let persistedRecords = emptyPersistedRecords();
+
+// ==================== DATABASE ====================
+
+/**
+ * Open the state database, running pending schema migrations.
+ * An upgrade blocked by another tab's open connection waits for it to close;
+ * falling back to localStorage would show the emptied pre-migration layout.
+ * @param {function} [onBlocked] - Called once while the upgrade waits
+ * @returns {Promise<IDBDatabase>}
+ */
+function openStateDb(onBlocked) {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(STATE_DB_NAME, STATE_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      for (let version = event.oldVersion + 1; version <= STATE_DB_VERSION; version++) {
+        STATE_DB_MIGRATIONS[version](request.result, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Never hold up another tab's upgrade; the next transaction reopens
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      if (onBlocked) onBlocked();
+    };
+  });
+}
+
+/**
+ * Run work in one transaction and resolve when it commits
+ * @param {string[]} storeNames - Stores in the transaction
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - (stores, tx) => *; stores is keyed by name
+ * @returns {Promise<*>} Whatever work returned, read after commit
+ */
+async function withStateTransaction(storeNames, mode, work) {
+  const db = await openStateDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach((name) => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    let result;
+    try {
+      result = work(stores, tx);
+    } catch (err) {
+      tx.abort();
+      db.close();
+      reject(err);
+      return;
+    }
+
+    tx.oncomplete = () => {
+      db.close();
+      resolve(result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+    tx.onabort = () => {
+      db.close();
+      reject(tx.error || new Error('Transaction aborted'));
+    };
+  });
+}
+
+/**
+ * Collect request results into an object once the transaction commits
+ * @param {object} requests - name -> IDBRequest
+ * @returns {object} Getter-backed object; read it after the transaction resolves
+ */
+function collectResults(requests) {
+  const results = {};
+  Object.keys(requests).forEach((name) => {
+    Object.defineProperty(results, name, {
+      enumerable: true,
+      get: () => requests[name].result
+    });
+  });
+  return results;
+}
+
+// ==================== READ / WRITE ====================
+
+/**
+ * Read all state, quarantining records that fail validation
+ * @returns {Promise<{tasks: Array, graveyard: Array, history: Array, meta: object, quarantined: number}>}
+ *   quarantined is the number of records quarantined by this read
+ */
+async function readStoredState() {
+  const raw = await withStateTransaction(RECORD_STORES.concat('meta'), 'readonly', (stores) => {
+    const requests = {
+      metaKeys: stores.meta.getAllKeys(),
+      metaValues: stores.meta.getAll()
+    };
+    RECORD_STORES.forEach((storeName) => {
+      requests[storeName] = storeName === 'history'
+        ? stores.history.index('at').getAll()
+        : stores[storeName].getAll();
+    });
+    return collectResults(requests);
+  });
+
+  const state = { meta: {}, quarantined: 0 };
+  const rejects = [];
+
+  RECORD_STORES.forEach((storeName) => {
+    state[storeName] = [];
+    raw[storeName].forEach((record) => {
+      const clean = RECORD_NORMALIZERS[storeName](record);
+      if (clean) {
+        state[storeName].push(clean);
+      } else {
+        rejects.push({ store: storeName, record: record, reason: 'Failed shape check' });
+      }
+    });
+  });
+  raw.metaKeys.forEach((key, i) => {
+    state.meta[key] = raw.metaValues[i];
+  });
+
+  if (rejects.length > 0) {
+    await quarantineRecords(rejects);
+    state.quarantined = rejects.length;
+  }
+
+  rememberPersisted(state);
+  return state;
+}
+
+/**
+ * Move invalid records out of their store and into quarantine, atomically
+ * @param {Array} rejects - { store, record, reason }
+ */
+function quarantineRecords(rejects) {
+  return withStateTransaction(RECORD_STORES.concat('quarantine'), 'readwrite', (stores) => {
+    const at = Date.now();
+    rejects.forEach((reject) => {
+      stores.quarantine.add({ store: reject.store, record: reject.record, reason: reject.reason, at: at });
+      const key = reject.record && reject.record.id;
+      if (stores[reject.store] && (typeof key === 'string' || typeof key === 'number')) {
+        stores[reject.store].delete(key);
+      }
+    });
+  });
+}
+
+/**
+ * Write a state snapshot in one transaction, touching only changed records
+ * @param {{tasks: Array, graveyard: Array, history: Array, meta: object}} state - Snapshot
+ */
+async function writeStoredState(state) {
+  const next = serializeState(state);
+
+  await withStateTransaction(RECORD_STORES.concat('meta'), 'readwrite', (stores) => {
+    Object.keys(next).forEach((storeName) => {
+      const store = stores[storeName];
+      const previous = persistedRecords[storeName];
+      const current = next[storeName];
+
+      Object.keys(current).forEach((key) => {
+        if (previous[key] === current[key].json) return;
+        if (storeName === 'meta') {
+          store.put(current[key].value, key);
+        } else {
+          store.put(current[key].value);
+        }
+      });
+      // Meta is put-only: keys the app does not own (migratedFrom) survive
+      if (storeName === 'meta') return;
+      Object.keys(previous).forEach((key) => {
+        if (!(key in current)) store.delete(key);
+      });
+    });
+  });
+
+  // Only after commit: a failed write is retried in full next time
+  Object.keys(next).forEach((storeName) => {
+    const written = storeName === 'meta' ? { ...persistedRecords.meta } : {};
+    Object.keys(next[storeName]).forEach((key) => {
+      written[key] = next[storeName][key].json;
+    });
+    persistedRecords[storeName] = written;
+  });
+}
+
+/**
+ * Key records by id (meta by key) with their JSON for change detection
+ */
+function serializeState(state) {
+  const result = emptyPersistedRecords();
+  RECORD_STORES.forEach((storeName) => {
+    const immutable = IMMUTABLE_STORES.includes(storeName);
+    (state[storeName] || []).forEach((record) => {
+      // Immutable records only need to exist, so skip stringifying them
+      result[storeName][record.id] = { value: record, json: immutable ? '' : JSON.stringify(record) };
+    });
+  });
+  Object.keys(state.meta).forEach((key) => {
+    result.meta[key] = { value: state.meta[key], json: JSON.stringify(state.meta[key]) };
+  });
+  return result;
+}
+
+function emptyPersistedRecords() {
+  const records = { meta: {} };
+  RECORD_STORES.forEach((storeName) => {
+    records[storeName] = {};
+  });
+  return records;
+}
+
+function rememberPersisted(state) {
+  const serialized = serializeState(state);
+  Object.keys(serialized).forEach((storeName) => {
+    persistedRecords[storeName] = {};
+    Object.keys(serialized[storeName]).forEach((key) => {
+      persistedRecords[storeName][key] = serialized[storeName][key].json;
+    });
+  });
+}
+
+/**
+ * Erase all stored state, including quarantine
+ */
+async function clearStoredState() {
+  await withStateTransaction(STATE_STORES, 'readwrite', (stores) => {
+    STATE_STORES.forEach((name) => stores[name].clear());
+  });
+  persistedRecords = emptyPersistedRecords();
+}
+
+// ==================== QUARANTINE ====================
+
+function readQuarantine() {
+  return withStateTransaction(['quarantine'], 'readonly', (stores) =>
+    collectResults({ records: stores.quarantine.getAll() })
+  ).then((results) => results.records);
+}
+
+function clearQuarantine() {
+  return withStateTransaction(['quarantine'], 'readwrite', (stores) => {
+    stores.quarantine.clear();
+  });
+}
+
+// ==================== LOCALSTORAGE MIGRATION ====================
+
+// Set in localStorage once state lives in IndexedDB, so a failed open never
+// falls back to the emptied localStorage layout
+const MIGRATED_FLAG_KEY = 'storage';
+
+/**
+ * Import the pre-IndexedDB layout (separate `non-*` localStorage keys) once.
+ * Everything is written in one transaction; the old keys are removed only
+ * after it commits, so an interrupted migration is simply retried.
+ * @param {string} prefix - localStorage key prefix
+ * @returns {Promise<boolean>} Whether anything was migrated
+ */
+async function migrateFromLocalStorage(prefix) {
+  const marker = await withStateTransaction(['meta'], 'readonly', (stores) =>
+    collectResults({ migratedFrom: stores.meta.get('migratedFrom') })
+  );
+  if (marker.migratedFrom) {
+    localStorage.setItem(prefix + MIGRATED_FLAG_KEY, 'indexeddb'); // Migrations before the flag existed
+    return false;
+  }
+
+  const keys = [
+    'tasks', 'graveyard', 'history', 'completed', 'expired', 'deleted', 'streak', 'best-streak', 'settings', 'focus-session'
+  ];
+  const legacy = {};
+  keys.forEach((key) => {
+    legacy[key] = localStorage.getItem(prefix + key);
+  });
+
+  const rejects = [];
+  const records = { tasks: [], graveyard: [], history: [] };
+  RECORD_STORES.forEach((storeName) => {
+    if (legacy[storeName] === null) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(legacy[storeName]);
+    } catch (err) {
+      rejects.push({ store: storeName, record: legacy[storeName], reason: 'Unparseable JSON' });
+      return;
+    }
+    if (!Array.isArray(parsed)) {
+      rejects.push({ store: storeName, record: parsed, reason: 'Not a list' });
+      return;
+    }
+    parsed.forEach((record) => {
+      const clean = RECORD_NORMALIZERS[storeName](record);
+      if (clean) {
+        records[storeName].push(clean);
+      } else {
+        rejects.push({ store: storeName, record: record, reason: 'Failed shape check' });
+      }
+    });
+  });
+
+  let savedSettings = null;
+  if (legacy.settings !== null) {
+    try {
+      savedSettings = JSON.parse(legacy.settings);
+    } catch (err) {
+      rejects.push({ store: 'meta', record: legacy.settings, reason: 'Unparseable settings' });
+    }
+  }
+
+  // Checked on load like any stored session; an unreadable one just ends
+  let focusSession = null;
+  try {
+    focusSession = JSON.parse(legacy['focus-session']);
+  } catch (err) {
+    focusSession = null;
+  }
+
+  await withStateTransaction(STATE_STORES, 'readwrite', (stores) => {
+    RECORD_STORES.forEach((storeName) => {
+      records[storeName].forEach((record) => stores[storeName].put(record));
+    });
+    stores.meta.put(parseInt(legacy.completed, 10) || 0, 'completedCount');
+    stores.meta.put(parseInt(legacy.expired, 10) || 0, 'expiredCount');
+    stores.meta.put(parseInt(legacy.deleted, 10) || 0, 'deletedCount');
+    stores.meta.put(parseInt(legacy.streak, 10) || 0, 'streak');
+    stores.meta.put(parseInt(legacy['best-streak'], 10) || 0, 'bestStreak');
+    if (savedSettings) stores.meta.put(savedSettings, 'settings');
+    if (focusSession) stores.meta.put(focusSession, 'focusSession');
+    const at = Date.now();
+    rejects.forEach((reject) => stores.quarantine.add({ ...reject, at: at }));
+    stores.meta.put('localStorage', 'migratedFrom');
+  });
+
+  localStorage.setItem(prefix + MIGRATED_FLAG_KEY, 'indexeddb');
+  keys.forEach((key) => localStorage.removeItem(prefix + key));
+  return true;
+}
+
+/**
+ * Whether state has moved to IndexedDB, so localStorage must not be used
+ * @param {string} prefix - localStorage key prefix
+ * @returns {boolean}
+ */
+function hasMigratedFromLocalStorage(prefix) {
+  try {
+    return localStorage.getItem(prefix + MIGRATED_FLAG_KEY) === 'indexeddb';
+  } catch (err) {
+    return false; // No localStorage either; the fallback copes with that
+  }
+}
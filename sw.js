@@ -1,46 +1,47 @@
 /**
  * Service Worker for NOW OR NEVER
  * Provides offline capability and caching strategies
- * @version 1.0.0
+ * @version 2.0.0
+ *
+ * The app shell is precached from precache-manifest.js, generated by
+ * tools/build-precache.js with a content hash per file. A changed file means
+ * a new manifest, so the browser installs a new worker, which waits until the
+ * page asks it to take over (SKIP_WAITING from the "Update now" button).
+ * Other same-origin images, fonts, styles and scripts go to a small runtime
+ * cache, oldest entries first out. Everything else (API calls such as a
+ * same-origin sync server's GET /changes) always goes to the network.
  */
 
-const CACHE_NAME = 'non-v1.0.0';
-const STATIC_CACHE = 'non-static-v1.0.0';
-const DYNAMIC_CACHE = 'non-dynamic-v1.0.0';
+const NOTIFICATION_ICON = '/icons/icon.svg';
+const REMINDER_SNOOZE_MS = 5 * 60 * 1000; // Matches REMINDER_SNOOZE in app.js
 
-// Assets to cache on install
-const STATIC_ASSETS = [
-  '/',
-  '/now-or-never.html',
-  '/manifest.json',
-  '/styles.css',
-  '/app.js'
-];
+// Record checks, outbox and REST backend shared with the page; generated precache list
+importScripts('/records.js', '/sync.js', '/precache-manifest.js');
 
-// Install event - cache static assets
+const PRECACHE = 'non-precache-' + PRECACHE_VERSION;
+const RUNTIME_CACHE = 'non-runtime-v2'; // v1 may hold cached API responses
+const RUNTIME_CACHE_LIMIT = 40;
+const RUNTIME_DESTINATIONS = ['image', 'font', 'style', 'script'];
+const APP_SHELL_URL = '/index.html';
+
+// Install event - precache the app shell, bypassing the HTTP cache
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(STATIC_CACHE)
-      .then((cache) => {
-        return cache.addAll(STATIC_ASSETS);
-      })
-      .then(() => {
-        return self.skipWaiting();
-      })
+    caches.open(PRECACHE).then((cache) => {
+      return cache.addAll(PRECACHE_MANIFEST.map((entry) => new Request(entry.url, { cache: 'reload' })));
+    })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - drop other versions' caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys()
       .then((cacheNames) => {
         return Promise.all(
           cacheNames
-            .filter((name) => name !== STATIC_CACHE && name !== DYNAMIC_CACHE)
-            .map((name) => {
-              return caches.delete(name);
-            })
+            .filter((name) => name !== PRECACHE && name !== RUNTIME_CACHE)
+            .map((name) => caches.delete(name))
         );
       })
       .then(() => {
@@ -49,56 +50,62 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch event - serve from cache, fallback to network
+/**
+ * Store a response in the runtime cache, evicting the oldest entries
+ * @param {Request} request - Request
+ * @param {Response} response - Response to store
+ */
+async function putRuntime(request, response) {
+  const cache = await caches.open(RUNTIME_CACHE);
+  await cache.put(request, response);
+
+  const keys = await cache.keys(); // Insertion order
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_CACHE_LIMIT)).map((key) => cache.delete(key)));
+}
+
+// Fetch event - precache first, then network with a bounded runtime cache
 self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
 
-  // Skip non-GET requests
-  if (request.method !== 'GET') {
+  // Skip non-GET and cross-origin requests (sync servers, relays)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Every page is the app shell; URL actions and shares live in the query
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(APP_SHELL_URL, { cacheName: PRECACHE })
+        .then((cachedResponse) => cachedResponse || fetch(request))
+    );
     return;
   }
 
-  // Skip chrome-extension and other non-http(s) requests
-  if (!url.protocol.startsWith('http')) {
+  // Only static assets may be answered from the runtime cache
+  if (!RUNTIME_DESTINATIONS.includes(request.destination)) {
+    event.respondWith(
+      caches.match(request, { ignoreSearch: true, cacheName: PRECACHE })
+        .then((precached) => precached || fetch(request))
+    );
     return;
   }
 
   event.respondWith(
-    caches.match(request)
+    caches.match(request, { ignoreSearch: true, cacheName: PRECACHE })
+      .then((precached) => precached || caches.match(request, { cacheName: RUNTIME_CACHE }))
       .then((cachedResponse) => {
-        // Return cached response if found
         if (cachedResponse) {
           return cachedResponse;
         }
 
-        // Otherwise, fetch from network
-        return fetch(request)
-          .then((networkResponse) => {
-            // Don't cache non-successful responses
-            if (!networkResponse || networkResponse.status !== 200) {
-              return networkResponse;
-            }
-
-            // Clone the response before caching
-            const responseToCache = networkResponse.clone();
-
-            // Cache the fetched response for future use
-            caches.open(DYNAMIC_CACHE)
-              .then((cache) => {
-                cache.put(request, responseToCache);
-              });
-
-            return networkResponse;
-          })
-          .catch(() => {
-            // Return offline fallback for navigation requests
-            if (request.mode === 'navigate') {
-              return caches.match('/now-or-never.html');
-            }
-            
-            throw new Error('Network unavailable');
-          });
+        return fetch(request).then((networkResponse) => {
+          // Only cache complete same-origin responses
+          if (networkResponse && networkResponse.status === 200 && networkResponse.type === 'basic') {
+            event.waitUntil(putRuntime(request, networkResponse.clone()));
+          }
+          return networkResponse;
+        });
       })
   );
 });
@@ -120,10 +127,18 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// Background sync for offline task creation (future enhancement)
+// Background sync: push changes queued while offline, then let pages pull
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-tasks') {
-    // Future: sync offline-created tasks when back online
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(
+      flushOutbox()
+        .then(() => getWindowClients())
+        .then((windowClients) => {
+          windowClients.forEach((client) => {
+            client.postMessage({ type: 'SYNC_FLUSHED' });
+          });
+        })
+    );
   }
 });
 
@@ -134,8 +149,8 @@ self.addEventListener('push', (event) => {
     
     const options = {
       body: data.body || 'Mission update!',
-      icon: '/icons/icon-192.png',
-      badge: '/icons/icon-72.png',
+      icon: NOTIFICATION_ICON,
+      badge: NOTIFICATION_ICON,
       vibrate: [100, 50, 100],
       data: {
         url: data.url || '/'
@@ -154,11 +169,71 @@ self.addEventListener('push', (event) => {
 
 // Notification click handler
 self.addEventListener('notificationclick', (event) => {
-  event.notification.close();
+  const notification = event.notification;
+  notification.close();
+  
+  if (event.action === 'dismiss') {
+    event.waitUntil(snoozeReminder(notification));
+    return;
+  }
   
   if (event.action === 'view' || !event.action) {
-    event.waitUntil(
-      clients.openWindow(event.notification.data.url || '/')
-    );
+    event.waitUntil(focusTask(notification.data || {}));
   }
 });
+
+/**
+ * All open app windows, including ones this worker does not control yet
+ */
+function getWindowClients() {
+  return self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+}
+
+/**
+ * Open Hyper-Focus on the notification's task, reusing an open window
+ * @param {object} data - Notification data ({ taskId, url })
+ */
+function focusTask(data) {
+  return getWindowClients().then((windowClients) => {
+    const client = windowClients[0];
+    if (client && data.taskId) {
+      client.postMessage({ type: 'FOCUS_TASK', taskId: data.taskId });
+      return client.focus();
+    }
+    return self.clients.openWindow(data.url || '/');
+  });
+}
+
+/**
+ * Snooze a reminder: open pages reschedule it, otherwise the platform does.
+ * With neither, say so instead of dropping the snooze silently.
+ * @param {Notification} notification - The dismissed reminder
+ */
+function snoozeReminder(notification) {
+  const data = notification.data || {};
+  if (!data.taskId) return Promise.resolve(); // Not a reminder; dismissing is enough
+  
+  return getWindowClients().then((windowClients) => {
+    windowClients.forEach((client) => {
+      client.postMessage({ type: 'SNOOZE_REMINDER', taskId: data.taskId });
+    });
+    if (windowClients.length > 0) return undefined;
+    
+    const options = {
+      body: notification.body,
+      tag: notification.tag,
+      icon: NOTIFICATION_ICON,
+      badge: NOTIFICATION_ICON,
+      data: data,
+      actions: notification.actions
+    };
+    if ('TimestampTrigger' in self) {
+      options.showTrigger = new TimestampTrigger(Date.now() + REMINDER_SNOOZE_MS);
+      return self.registration.showNotification(notification.title, options);
+    }
+    
+    options.body = notification.body + '\nCan\'t snooze while the app is closed. Tap to open it.';
+    options.actions = [{ action: 'view', title: 'Open' }];
+    return self.registration.showNotification('Snooze unavailable', options);
+  });
+}
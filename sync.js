@@ -0,0 +1,236 @@
+/**
+ * NOW OR NEVER - Task Sync
+ * @version 1.0.0
+ *
+ * Shared by the page (app.js), the service worker (sw.js) and the stand-in
+ * server (tools/sync-server.js). Changes are checked by isValidChange() in
+ * records.js, which is loaded first.
+ *
+ * REST protocol (JSON bodies, {base} is the configured server URL):
+ *
+ *   POST {base}/changes                 body: { changes: [Change] }
+ *     -> { cursor: number, accepted: [id], rejected: [Change] }
+ *   GET  {base}/changes?since=<cursor>
+ *     -> { cursor: number, changes: [Change] }
+ *
+ * A Change is { op: 'put', id, rev, task } or { op: 'delete', id, rev }.
+ * The server keeps one change per task id, the winner of
+ * resolveChangeConflict(), and numbers stored changes with an increasing
+ * cursor. `rejected` holds the server's winning change for every pushed change
+ * that lost, so the client can adopt it.
+ */
+'use strict';
+
+const SYNC_DB_NAME = 'non-sync';
+const SYNC_DB_VERSION = 1;
+const SYNC_TAG = 'sync-tasks';
+
+// ==================== CONFLICT RESOLUTION ====================
+
+/**
+ * Pick the winning change for one task. Symmetric, so every device and the
+ * server converge on the same result whatever order changes arrive in.
+ * @param {object|null} a - Change
+ * @param {object|null} b - Change
+ * @returns {object|null} The winner
+ */
+function resolveChangeConflict(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+
+  // Higher revision wins
+  if (a.rev !== b.rev) return a.rev > b.rev ? a : b;
+
+  // Same revision edited on two devices: completion/deletion is final
+  if (a.op !== b.op) return a.op === 'delete' ? a : b;
+
+  if (a.op === 'put') {
+    // A later deadline is the more recent intent (time was added)
+    if (a.task.deadline !== b.task.deadline) {
+      return a.task.deadline > b.task.deadline ? a : b;
+    }
+    // A later creation time is the newer incarnation of the mission
+    if (a.task.created !== b.task.created) {
+      return a.task.created > b.task.created ? a : b;
+    }
+  }
+
+  // Deterministic last resort
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+}
+
+// ==================== BACKENDS ====================
+
+const syncBackends = {};
+
+/**
+ * Register a sync backend
+ * @param {string} name - Backend name, stored in settings
+ * @param {function} factory - (config) => { push(changes), pull(cursor) }, both returning promises
+ */
+function registerSyncBackend(name, factory) {
+  syncBackends[name] = factory;
+}
+
+/**
+ * Create a backend instance from its config
+ * @param {object} config - { backend, url, ... }
+ * @returns {object} Backend with push() and pull()
+ */
+function createSyncBackend(config) {
+  const factory = syncBackends[config.backend || 'rest'];
+  if (!factory) {
+    throw new Error('Unknown sync backend: ' + config.backend);
+  }
+  return factory(config);
+}
+
+// Built-in backend speaking the REST protocol above
+registerSyncBackend('rest', (config) => {
+  const base = String(config.url || '').replace(/\/+$/, '');
+
+  function request(path, options) {
+    return fetch(base + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error('Sync server responded ' + response.status);
+      }
+      return response.json();
+    });
+  }
+
+  return {
+    push: (changes) => request('/changes', {
+      method: 'POST',
+      body: JSON.stringify({ changes: changes })
+    }),
+    pull: (cursor) => request('/changes?since=' + encodeURIComponent(cursor || 0), {
+      method: 'GET'
+    })
+  };
+});
+
+// ==================== OUTBOX (IndexedDB) ====================
+
+/**
+ * Open the sync database (outbox of queued changes + meta key/values)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSyncDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SYNC_DB_NAME, SYNC_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('outbox', { keyPath: 'id' });
+      db.createObjectStore('meta');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run work in one transaction and resolve when it commits
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} work - (store) => IDBRequest|undefined
+ * @returns {Promise<*>} Result of the returned request, if any
+ */
+async function withSyncStore(storeName, mode, work) {
+  const db = await openSyncDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+function getSyncMeta(key) {
+  return withSyncStore('meta', 'readonly', (store) => store.get(key));
+}
+
+function setSyncMeta(key, value) {
+  return withSyncStore('meta', 'readwrite', (store) => store.put(value, key));
+}
+
+/**
+ * Queue changes; a newer change for the same task replaces the queued one
+ * @param {Array} changes - Changes to queue
+ */
+function queueChanges(changes) {
+  return withSyncStore('outbox', 'readwrite', (store) => {
+    changes.forEach((change) => store.put(change));
+  });
+}
+
+function readOutbox() {
+  return withSyncStore('outbox', 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Remove pushed changes, keeping any that were superseded while in flight
+ * @param {Array} changes - Changes that were pushed
+ */
+function removeFromOutbox(changes) {
+  return withSyncStore('outbox', 'readwrite', (store) => {
+    changes.forEach((change) => {
+      const request = store.get(change.id);
+      request.onsuccess = () => {
+        if (request.result && request.result.rev === change.rev) {
+          store.delete(change.id);
+        }
+      };
+    });
+  });
+}
+
+/**
+ * Take (read and clear) server winners that still have to be applied locally
+ * @returns {Promise<Array>} Changes
+ */
+async function takeSyncInbox() {
+  const inbox = (await getSyncMeta('inbox')) || [];
+  if (inbox.length > 0) {
+    await setSyncMeta('inbox', []);
+  }
+  return inbox;
+}
+
+/**
+ * Push the outbox to the configured backend.
+ * Throws on network failure so background sync retries.
+ * @returns {Promise<{pushed: number}>}
+ */
+async function flushOutbox() {
+  const config = await getSyncMeta('config');
+  if (!config || !config.enabled || !config.url) return { pushed: 0 };
+
+  const changes = await readOutbox();
+  if (changes.length === 0) return { pushed: 0 };
+
+  const result = await createSyncBackend(config).push(changes);
+  await removeFromOutbox(changes);
+
+  // Changes we lost are applied by the page on its next pull
+  const rejected = (result.rejected || []).filter(isValidChange);
+  if (rejected.length > 0) {
+    const inbox = (await getSyncMeta('inbox')) || [];
+    await setSyncMeta('inbox', inbox.concat(rejected));
+  }
+
+  return { pushed: changes.length };
+}
+
+// Node (stand-in server) shares the conflict rules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { resolveChangeConflict };
+}
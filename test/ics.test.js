@@ -0,0 +1,163 @@
+/**
+ * NOW OR NEVER - iCalendar Tests
+ *
+ * Run: node --test test/
+ *
+ * The fixtures in test/fixtures are written by hand in the shape each app
+ * exports (properties, ordering, folding, TZID style), not saved from the
+ * apps themselves. Floating and all-day times, and Outlook's Windows zone
+ * names, are local time, so those expectations are built with local Dates.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRrule, readIcsItems, buildIcs, foldIcsLine, parseIcsLine } = require('../ics.js');
+
+// Mon 2026-10-19 12:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const local = (year, month, day, hours, minutes) => new Date(year, month - 1, day, hours, minutes).getTime();
+
+function readFixture(name) {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return readIcsItems(text, NOW);
+}
+
+const summaries = items => items.map(item => [item.summary, item.deadline]);
+
+test('Google: zoned series, EXDATE, a moved instance, all-day and cancelled events', () => {
+  const items = readFixture('google.ics');
+
+  assert.deepStrictEqual(summaries(items), [
+    ['Vendor call', Date.UTC(2026, 9, 20, 17, 0)],
+    ['Standup (moved)', Date.UTC(2026, 9, 21, 15, 0)], // 11:00 EDT
+    ['Standup', Date.UTC(2026, 9, 23, 13, 30)], // Mon excluded, Wed moved
+    ['Offsite', local(2026, 10, 26, 23, 59)],
+    ['Demo day', Date.UTC(2026, 9, 30, 20, 0)] // Last Friday, 16:00 EDT
+  ]);
+
+  const [call, moved, standup] = items;
+  assert.strictEqual(call.description,
+    'Join with Google Meet: https://meet.google.com/abc-defg-hij\nBudget review – Q4 numbers, renewal terms and the data-retention clause.');
+  assert.strictEqual(moved.uid, '3k9v0c1q2s7d8f6g5h4j3k2l1m@google.com/20261021T093000');
+  assert.strictEqual(moved.rrule, null);
+  assert.strictEqual(standup.uid, '3k9v0c1q2s7d8f6g5h4j3k2l1m@google.com');
+  assert.deepStrictEqual(standup.rrule.byDay.map(d => d.day), [1, 3, 5]);
+  assert.strictEqual(standup.startDay, 1);
+});
+
+test('Outlook: unexpandable rules import only DTSTART', () => {
+  const items = readFixture('outlook.ics');
+
+  // Month-end close (BYSETPOS) and Morning triage (DAILY;BYDAY) started in
+  // the past, so nothing of them is imported, rather than every weekday
+  assert.deepStrictEqual(summaries(items), [
+    ['Team 1:1', local(2026, 10, 22, 8, 0)],
+    ['Quarterly review', local(2026, 10, 30, 10, 0)],
+    ['Public holiday', local(2026, 11, 2, 23, 59)]
+  ]);
+
+  const [oneOnOne, review] = items;
+  assert.strictEqual(oneOnOne.rrule.interval, 2);
+  assert.deepStrictEqual(oneOnOne.categories, ['Team', 'Blue category']);
+  assert.strictEqual(oneOnOne.description, 'Agenda: goals; blockers; feedback');
+  assert.strictEqual(review.rrule, null);
+  assert.ok(review.uid.endsWith('B2C3D4E5F60718293A4B5C6D7E8F90A1'), 'folded UID is unfolded');
+});
+
+test('Apple: reminders, floating times, month ends across DST and EXDATE lists', () => {
+  const items = readFixture('apple.ics');
+
+  assert.deepStrictEqual(summaries(items), [
+    ['Renew passport', Date.UTC(2026, 9, 21, 16, 0)], // 18:00 CEST
+    ['Farmers market', local(2026, 10, 24, 10, 0)],
+    ['Pay rent', Date.UTC(2026, 9, 31, 8, 0)], // 09:00 CET, after the change
+    ['Piano lesson', Date.UTC(2026, 10, 7, 14, 0)], // Two Saturdays excluded
+    ["Sam's birthday", local(2027, 4, 12, 23, 59)]
+  ]);
+
+  const [passport] = items;
+  assert.strictEqual(passport.type, 'VTODO');
+  assert.strictEqual(passport.url, 'https://example.com/passport');
+  assert.ok(!items.some(item => item.summary === 'Book flights'), 'completed to-dos are skipped');
+});
+
+test('rules with parts that cannot be expanded are unsupported', () => {
+  [
+    'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1',
+    'FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO',
+    'FREQ=YEARLY;BYYEARDAY=100',
+    'FREQ=DAILY;BYHOUR=9,17',
+    'FREQ=DAILY;BYMINUTE=30',
+    'FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR',
+    'FREQ=WEEKLY;BYMONTH=3',
+    'FREQ=MONTHLY;BYMONTH=1,7',
+    'FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13',
+    'FREQ=WEEKLY;BYDAY=1MO',
+    'FREQ=YEARLY;BYDAY=1MO',
+    'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,SU;WKST=SU',
+    'FREQ=MONTHLY;X-NAME=1',
+    'FREQ=FORTNIGHTLY',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=MONTHLY;BYMONTHDAY=32'
+  ].forEach(rule => assert.strictEqual(parseRrule(rule), null, rule));
+});
+
+test('rules that can be expanded', () => {
+  assert.deepStrictEqual(parseRrule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10'), {
+    freq: 'WEEKLY',
+    interval: 2,
+    count: 10,
+    until: null,
+    byDay: [{ day: 1, nth: 0 }, { day: 4, nth: 0 }],
+    byMonthDay: [],
+    byMonth: []
+  });
+  assert.strictEqual(parseRrule('FREQ=DAILY;UNTIL=20261231T235959Z').until, Date.UTC(2026, 11, 31, 23, 59, 59));
+  assert.deepStrictEqual(parseRrule('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH').byDay, [{ day: 4, nth: 4 }]);
+  assert.deepStrictEqual(parseRrule('FREQ=MONTHLY;BYMONTHDAY=1,-1').byMonthDay, [1, -1]);
+  assert.ok(parseRrule('FREQ=WEEKLY;WKST=SU;BYDAY=MO,WE,FR'));
+});
+
+test('export reads back', () => {
+  const time = local(2026, 10, 26, 9, 0);
+  const summary = 'Ship v2; tell sales, ops and support\nthen rest — 🎉 '.repeat(3).trim();
+  const text = buildIcs([{
+    uid: 'k3x9a@now-or-never',
+    type: 'VTODO',
+    summary: summary,
+    categories: ['work', 'q4,launch'],
+    time: time,
+    created: NOW,
+    floating: true,
+    rrule: 'FREQ=WEEKLY;BYDAY=MO',
+    alarm: 15 * 60000
+  }], NOW);
+
+  text.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(text.includes('TRIGGER;RELATED=END:-PT15M'));
+
+  const [item] = readIcsItems(text, NOW);
+  assert.strictEqual(item.uid, 'k3x9a@now-or-never');
+  assert.strictEqual(item.summary, summary.trim());
+  assert.deepStrictEqual(item.categories, ['work', 'q4,launch']);
+  assert.strictEqual(item.deadline, time);
+  assert.strictEqual(item.rrule.freq, 'WEEKLY');
+});
+
+test('folding never splits a character', () => {
+  const line = 'SUMMARY:' + '€'.repeat(60);
+  const folded = foldIcsLine(line);
+  folded.split('\r\n').forEach(part => assert.ok(Buffer.byteLength(part) <= 75));
+  assert.strictEqual(folded.replace(/\r\n /g, ''), line);
+});
+
+test('quoted parameters may hold colons', () => {
+  assert.deepStrictEqual(parseIcsLine('DTSTART;TZID="W. Europe: Standard";X-A=1:20261030T100000'), {
+    name: 'DTSTART',
+    params: { TZID: 'W. Europe: Standard', 'X-A': '1' },
+    value: '20261030T100000'
+  });
+});
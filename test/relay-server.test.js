@@ -0,0 +1,251 @@
+/**
+ * NOW OR NEVER - Shared Board Relay Tests
+ *
+ * Run: node --test test/
+ *
+ * Each test starts its own relay on a free port and talks to it over raw
+ * sockets, the way the app does through WebSocket.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const net = require('net');
+const { createRelayServer, encodeFrame, decodeFrame } = require('../tools/relay-server.js');
+
+const DEADLINE = Date.UTC(2030, 0, 1);
+const WAIT = 2000; // ms a message may take before the test fails
+
+/**
+ * Run a test against a fresh relay, closing every client afterwards
+ * @param {function} fn - async ({ connect }) => void
+ */
+async function withRelay(fn) {
+  const server = createRelayServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const sockets = [];
+  try {
+    await fn({
+      connect: async () => {
+        const client = await connect(server.address().port);
+        sockets.push(client.socket);
+        return client;
+      }
+    });
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * Open a WebSocket connection
+ * @param {number} port - Relay port
+ * @returns {Promise<object>} { socket, send(message), next(type, wait), closed() }
+ */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    const queue = [];
+    const waiters = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = false;
+    let closeCode = null;
+    let onClose = null;
+
+    const client = {
+      socket: socket,
+      send: (message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8'))),
+      // Next message of a type; earlier messages of other types are skipped
+      next: (type, wait = WAIT) => new Promise((done, fail) => {
+        const waiter = { type: type, done: done };
+        waiter.timer = setTimeout(() => {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          fail(new Error('No ' + type + ' message'));
+        }, wait);
+        waiters.push(waiter);
+        deliver();
+      }),
+      closed: () => new Promise((done) => {
+        if (closeCode !== null) done(closeCode);
+        else onClose = done;
+      })
+    };
+
+    function deliver() {
+      while (waiters.length > 0) {
+        const index = queue.findIndex((message) => message.type === waiters[0].type);
+        if (index === -1) return;
+        const message = queue.splice(0, index + 1).pop();
+        const waiter = waiters.shift();
+        clearTimeout(waiter.timer);
+        waiter.done(message);
+      }
+    }
+
+    socket.on('connect', () => {
+      socket.write([
+        'GET / HTTP/1.1',
+        'Host: 127.0.0.1:' + port,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Key: ' + crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version: 13',
+        '',
+        ''
+      ].join('\r\n'));
+    });
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!upgraded) {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) return;
+        const head = buffer.subarray(0, end).toString('utf8');
+        if (!head.startsWith('HTTP/1.1 101')) {
+          reject(new Error(head));
+          return;
+        }
+        upgraded = true;
+        buffer = buffer.subarray(end + 4);
+        resolve(client);
+      }
+
+      let frame;
+      while ((frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+        if (frame.opcode === 0x1) {
+          queue.push(JSON.parse(frame.payload.toString('utf8')));
+        } else if (frame.opcode === 0x8) {
+          closeCode = frame.payload.readUInt16BE(0);
+          if (onClose) onClose(closeCode);
+        }
+      }
+      deliver();
+    });
+    socket.on('error', reject);
+  });
+}
+
+function task(id, extra = {}) {
+  return { id: id, name: 'Mission ' + id, deadline: DEADLINE, created: DEADLINE - 3600000, board: 'team', ...extra };
+}
+
+function put(id, rev, action, extra) {
+  return { op: 'put', id: id, rev: rev, action: action, task: task(id, extra) };
+}
+
+async function join(connect, memberId, since) {
+  const client = await connect();
+  client.send({ type: 'hello', board: 'team', member: { id: memberId, name: memberId.toUpperCase() }, since: since });
+  client.welcome = await client.next('welcome');
+  return client;
+}
+
+test('hello gets a welcome that replays the latest change per mission', () => withRelay(async ({ connect }) => {
+  const ann = await join(connect, 'ann', 0);
+  assert.deepStrictEqual(ann.welcome, { type: 'welcome', cursor: 0, changes: [] });
+
+  ann.send({ type: 'change', change: put('t1', 1, 'created') });
+  await ann.next('change');
+  ann.send({ type: 'change', change: put('t2', 1, 'created') });
+  await ann.next('change');
+  ann.send({ type: 'change', change: put('t1', 2, 'claimed', { claimedBy: { id: 'ann', name: 'ANN' } }) });
+  const claimed = await ann.next('change');
+  assert.strictEqual(claimed.cursor, 3);
+
+  // A new member gets each mission once, in the order they last changed
+  const bo = await join(connect, 'bo', 0);
+  assert.strictEqual(bo.welcome.cursor, 3);
+  assert.deepStrictEqual(bo.welcome.changes.map((c) => [c.id, c.rev, c.action]), [['t2', 1, 'created'], ['t1', 2, 'claimed']]);
+  assert.deepStrictEqual(bo.welcome.changes[1].by, { id: 'ann', name: 'ANN' });
+
+  // A returning member only gets what it missed
+  const back = await join(connect, 'cy', 2);
+  assert.deepStrictEqual(back.welcome.changes.map((c) => c.id), ['t1']);
+}));
+
+test('changes are attributed by the relay and broadcast to the board', () => withRelay(async ({ connect }) => {
+  const ann = await join(connect, 'ann', 0);
+  const bo = await join(connect, 'bo', 0);
+
+  bo.send({ type: 'change', change: { ...put('t1', 1, 'created'), by: { id: 'ann', name: 'Forged' } } });
+  const seen = await Promise.all([ann.next('change'), bo.next('change')]);
+  seen.forEach((message) => assert.deepStrictEqual(message.change.by, { id: 'bo', name: 'BO' }));
+}));
+
+test('conflicting changes resolve the same way for every member', () => withRelay(async ({ connect }) => {
+  const ann = await join(connect, 'ann', 0);
+  const bo = await join(connect, 'bo', 0);
+  ann.send({ type: 'change', change: put('t1', 1, 'created') });
+  await Promise.all([ann.next('change'), bo.next('change')]);
+
+  // Both extend from rev 1: the later deadline wins
+  ann.send({ type: 'change', change: put('t1', 2, 'extended', { deadline: DEADLINE + 900000 }) });
+  const [, first] = await Promise.all([ann.next('change'), bo.next('change')]);
+  assert.strictEqual(first.change.task.deadline, DEADLINE + 900000);
+  bo.send({ type: 'change', change: put('t1', 2, 'extended', { deadline: DEADLINE + 600000 }) });
+  const answer = await bo.next('change');
+  assert.strictEqual(answer.change.by.id, 'ann');
+  assert.strictEqual(answer.change.task.deadline, DEADLINE + 900000);
+
+  // A stale revision is answered with the winner, not broadcast
+  bo.send({ type: 'change', change: put('t1', 1, 'updated', { name: 'Stale' }) });
+  const stale = await bo.next('change');
+  assert.strictEqual(stale.change.rev, 2);
+  await assert.rejects(ann.next('change', 200));
+
+  const late = await join(connect, 'cy', 0);
+  assert.deepStrictEqual(late.welcome.changes.map((c) => [c.rev, c.task.deadline]), [[2, DEADLINE + 900000]]);
+}));
+
+test('an expiry reaches every member and beats a same-revision edit', () => withRelay(async ({ connect }) => {
+  const ann = await join(connect, 'ann', 0);
+  const bo = await join(connect, 'bo', 0);
+  ann.send({ type: 'change', change: put('t1', 1, 'created') });
+  await Promise.all([ann.next('change'), bo.next('change')]);
+
+  // Ann's copy ran out while Bo, offline for a moment, extended it
+  ann.send({ type: 'change', change: { op: 'delete', id: 't1', rev: 2, action: 'expired', name: 'Mission t1' } });
+  const expired = await Promise.all([ann.next('change'), bo.next('change')]);
+  expired.forEach((message) => {
+    assert.strictEqual(message.change.op, 'delete');
+    assert.strictEqual(message.change.action, 'expired');
+  });
+
+  bo.send({ type: 'change', change: put('t1', 2, 'extended', { deadline: DEADLINE + 900000 }) });
+  const answer = await bo.next('change');
+  assert.strictEqual(answer.change.action, 'expired');
+
+  // Someone joining later also sees it gone, not extended
+  const late = await join(connect, 'cy', 0);
+  assert.deepStrictEqual(late.welcome.changes.map((c) => [c.op, c.action]), [['delete', 'expired']]);
+}));
+
+test('presence lists members with their Hyper-Focus mission', () => withRelay(async ({ connect }) => {
+  const ann = await join(connect, 'ann', 0);
+  assert.deepStrictEqual((await ann.next('presence')).members, [{ id: 'ann', name: 'ANN', focus: null }]);
+
+  const bo = await join(connect, 'bo', 0);
+  await bo.next('presence');
+  assert.deepStrictEqual((await ann.next('presence')).members.map((m) => m.id), ['ann', 'bo']);
+
+  bo.send({ type: 'presence', focus: 't1' });
+  const focused = await ann.next('presence');
+  assert.deepStrictEqual(focused.members[1], { id: 'bo', name: 'BO', focus: 't1' });
+
+  bo.socket.destroy();
+  assert.deepStrictEqual((await ann.next('presence')).members, [{ id: 'ann', name: 'ANN', focus: null }]);
+}));
+
+test('invalid hellos are refused and invalid changes ignored', () => withRelay(async ({ connect }) => {
+  const bad = await connect();
+  bad.send({ type: 'hello', board: '../etc', member: { id: 'ann', name: 'Ann' }, since: 0 });
+  assert.strictEqual(await bad.closed(), 1008);
+
+  const ann = await join(connect, 'ann', 0);
+  ann.send({ type: 'change', change: { op: 'put', id: 'x" onmouseover="', rev: 1, task: task('x" onmouseover="') } });
+  ann.send({ type: 'change', change: { op: 'put', id: 't1', rev: 1, task: { id: 't1', name: 'No deadline' } } });
+  ann.send({ type: 'change', change: put('t2', 1, 'created') });
+  assert.strictEqual((await ann.next('change')).change.id, 't2');
+}));
@@ -0,0 +1,347 @@
+/**
+ * NOW OR NEVER - Scheduling Tests
+ *
+ * Run: node --test test/
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  tierThresholdMs, tierAt, buildReminderSchedule, diffReminders, createReminderTimers,
+  nextWakeAt, createWakeLoop, formatAwaySummary
+} = require('../scheduler.js');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const START = Date.UTC(2026, 2, 6, 9, 0);
+
+// Same shape as DEFAULT_TIERS in app.js
+const TIERS = [
+  { id: 'STABLE', name: 'STABLE', color: '#00ffff', effect: 'STABLE', threshold: null },
+  { id: 'ELEVATED', name: 'ELEVATED', color: '#ff8800', effect: 'ELEVATED', threshold: { unit: 'min', value: 120 } },
+  { id: 'CRITICAL', name: 'CRITICAL', color: '#ff0044', effect: 'CRITICAL', threshold: { unit: 'min', value: 15 } },
+  { id: 'TERMINAL', name: 'TERMINAL', color: '#ff0044', effect: 'TERMINAL', threshold: { unit: 'min', value: 1 } }
+];
+
+function task(id, minutes, extra = {}) {
+  return { id: id, name: 'Mission ' + id, created: START, deadline: START + minutes * MINUTE, ...extra };
+}
+
+/**
+ * Fake clock with the shape of `clock` in app.js
+ * advance(ms) fires timers on time, in order; sleep(ms) jumps ahead like a
+ * suspended device and only then fires what is overdue, late.
+ */
+function createFakeClock(start) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  function fireDue(until, onTime) {
+    for (;;) {
+      let due = null;
+      timers.forEach((timer, id) => {
+        if (timer.at <= until && (!due || timer.at < due.at)) due = { id: id, at: timer.at, fn: timer.fn };
+      });
+      if (!due) return;
+      timers.delete(due.id);
+      if (onTime) now = due.at;
+      due.fn();
+    }
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => {
+      timers.set(nextId, { at: now + Math.max(0, ms), fn: fn });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance(ms) {
+      const end = now + ms;
+      fireDue(end, true);
+      now = end;
+    },
+    sleep(ms) {
+      now += ms;
+      fireDue(now, false);
+    },
+    pending: () => timers.size
+  };
+}
+
+test('tiers follow the time left', () => {
+  const t = task('a', 180);
+  assert.strictEqual(tierAt(t, START, TIERS).id, 'STABLE');
+  assert.strictEqual(tierAt(t, t.deadline - 2 * HOUR - 1, TIERS).id, 'STABLE');
+  assert.strictEqual(tierAt(t, t.deadline - 2 * HOUR, TIERS).id, 'ELEVATED');
+  assert.strictEqual(tierAt(t, t.deadline - 15 * MINUTE, TIERS).id, 'CRITICAL');
+  assert.strictEqual(tierAt(t, t.deadline - MINUTE, TIERS).id, 'TERMINAL');
+  assert.strictEqual(tierAt(t, t.deadline + HOUR, TIERS).id, 'TERMINAL');
+});
+
+test('percentage and per-mission thresholds', () => {
+  const tiers = TIERS.map(tier => (tier.id === 'ELEVATED' ? { ...tier, threshold: { unit: 'pct', value: 50 } } : tier));
+  const t = task('a', 600);
+  assert.strictEqual(tierThresholdMs(t, tiers[1]), 300 * MINUTE);
+  assert.strictEqual(tierThresholdMs(t, tiers[0]), Infinity);
+
+  const custom = task('b', 600, { thresholds: { CRITICAL: { unit: 'min', value: 60 } } });
+  assert.strictEqual(tierThresholdMs(custom, TIERS[2]), 60 * MINUTE);
+  assert.strictEqual(tierAt(custom, custom.deadline - 30 * MINUTE, TIERS).id, 'CRITICAL');
+});
+
+test('one reminder per tier threshold, soonest first', () => {
+  const schedule = buildReminderSchedule([task('a', 180), task('b', 30)], START, {}, TIERS);
+
+  assert.deepStrictEqual(schedule.map(e => [e.tag, e.at - START]), [
+    ['non-reminder-b:CRITICAL', 15 * MINUTE],
+    ['non-reminder-b:TERMINAL', 29 * MINUTE],
+    ['non-reminder-a:ELEVATED', 60 * MINUTE],
+    ['non-reminder-a:CRITICAL', 165 * MINUTE],
+    ['non-reminder-a:TERMINAL', 179 * MINUTE]
+  ]);
+  assert.deepStrictEqual(schedule[0], {
+    tag: 'non-reminder-b:CRITICAL',
+    taskId: 'b',
+    name: 'Mission b',
+    state: 'CRITICAL',
+    effect: 'CRITICAL',
+    deadline: START + 30 * MINUTE,
+    at: START + 15 * MINUTE
+  });
+});
+
+test('crossed thresholds drop out as the clock moves', () => {
+  const tasks = [task('a', 180)];
+  const tagsAt = now => buildReminderSchedule(tasks, now, {}, TIERS).map(e => e.tag);
+
+  assert.strictEqual(tagsAt(START).length, 3);
+  assert.deepStrictEqual(tagsAt(START + 60 * MINUTE), ['non-reminder-a:CRITICAL', 'non-reminder-a:TERMINAL']);
+  assert.deepStrictEqual(tagsAt(START + 170 * MINUTE), ['non-reminder-a:TERMINAL']);
+  assert.deepStrictEqual(tagsAt(START + 179 * MINUTE), []);
+});
+
+test('no reminders for tiers a mission started in', () => {
+  const schedule = buildReminderSchedule([task('a', 10)], START, {}, TIERS);
+  assert.deepStrictEqual(schedule.map(e => e.tag), ['non-reminder-a:TERMINAL']);
+});
+
+test('a snooze adds a re-reminder with the tier at that time', () => {
+  const t = task('a', 30);
+  const now = START + 16 * MINUTE;
+  const schedule = buildReminderSchedule([t], now, { a: now + 5 * MINUTE }, TIERS);
+  const snooze = schedule.find(e => e.snoozed);
+
+  assert.strictEqual(snooze.tag, 'non-reminder-a:snooze');
+  assert.strictEqual(snooze.at, now + 5 * MINUTE);
+  assert.strictEqual(snooze.state, 'CRITICAL');
+
+  // Past the deadline, or already passed: nothing to remind of
+  assert.ok(!buildReminderSchedule([t], now, { a: t.deadline + MINUTE }, TIERS).some(e => e.snoozed));
+  assert.ok(!buildReminderSchedule([t], now, { a: now - MINUTE }, TIERS).some(e => e.snoozed));
+});
+
+test('only changed reminders are rescheduled', () => {
+  const tasks = [task('a', 180), task('b', 30)];
+  const first = diffReminders(null, buildReminderSchedule(tasks, START, {}, TIERS), START);
+  assert.strictEqual(first.reset, true);
+  assert.strictEqual(first.added.length, 5);
+
+  // A re-render with nothing changed touches nothing
+  const now = START + MINUTE;
+  const same = diffReminders(first.scheduled, buildReminderSchedule(tasks, now, {}, TIERS), now);
+  assert.deepStrictEqual([same.reset, same.added, same.removed], [false, [], []]);
+
+  // Extending b moves its reminders; a's stay put
+  tasks[1] = { ...tasks[1], deadline: tasks[1].deadline + 15 * MINUTE };
+  const extended = diffReminders(same.scheduled, buildReminderSchedule(tasks, now, {}, TIERS), now);
+  assert.deepStrictEqual(extended.added.map(e => e.tag), ['non-reminder-b:CRITICAL', 'non-reminder-b:TERMINAL']);
+  assert.deepStrictEqual(extended.removed, []);
+
+  // Completing b cancels its pending reminders
+  const done = diffReminders(extended.scheduled, buildReminderSchedule(tasks.slice(0, 1), now, {}, TIERS), now);
+  assert.deepStrictEqual(done.added, []);
+  assert.deepStrictEqual(done.removed.sort(), ['non-reminder-b:CRITICAL', 'non-reminder-b:TERMINAL']);
+});
+
+test('reminders that came due are not cancelled', () => {
+  const tasks = [task('a', 30)];
+  const first = diffReminders(null, buildReminderSchedule(tasks, START, {}, TIERS), START);
+  const now = START + 20 * MINUTE;
+  const later = diffReminders(first.scheduled, buildReminderSchedule(tasks, now, {}, TIERS), now);
+  assert.deepStrictEqual(later.removed, []);
+  assert.deepStrictEqual([...later.scheduled.keys()], ['non-reminder-a:TERMINAL']);
+});
+
+test('page timers fire on the fake clock and follow changes', () => {
+  const clock = createFakeClock(START);
+  const fired = [];
+  const timers = createReminderTimers(clock, entry => fired.push([entry.tag, clock.now() - START]));
+  let tasks = [task('a', 30)];
+  let scheduled = null;
+  const reschedule = () => {
+    const changes = diffReminders(scheduled, buildReminderSchedule(tasks, clock.now(), {}, TIERS), clock.now());
+    scheduled = changes.scheduled;
+    timers.apply(changes);
+  };
+
+  reschedule();
+  reschedule(); // Repeated renders add no timers
+  assert.strictEqual(clock.pending(), 2);
+
+  clock.advance(20 * MINUTE);
+  reschedule();
+  assert.deepStrictEqual(fired, [['non-reminder-a:CRITICAL', 15 * MINUTE]]);
+
+  // Extended by 10 minutes: back out of CRITICAL, so it is crossed again
+  tasks = [{ ...tasks[0], deadline: tasks[0].deadline + 10 * MINUTE }];
+  reschedule();
+  assert.strictEqual(clock.pending(), 2);
+  clock.advance(30 * MINUTE);
+  assert.deepStrictEqual(fired, [
+    ['non-reminder-a:CRITICAL', 15 * MINUTE],
+    ['non-reminder-a:CRITICAL', 25 * MINUTE],
+    ['non-reminder-a:TERMINAL', 39 * MINUTE]
+  ]);
+  assert.strictEqual(clock.pending(), 0);
+});
+
+test('a snoozed reminder fires again after the snooze', () => {
+  const clock = createFakeClock(START);
+  const fired = [];
+  const timers = createReminderTimers(clock, entry => fired.push([entry.tag, clock.now() - START]));
+  const tasks = [task('a', 60)];
+  const snoozes = {};
+  let scheduled = null;
+  const reschedule = () => {
+    const changes = diffReminders(scheduled, buildReminderSchedule(tasks, clock.now(), snoozes, TIERS), clock.now());
+    scheduled = changes.scheduled;
+    timers.apply(changes);
+  };
+
+  reschedule();
+  clock.advance(46 * MINUTE);
+  snoozes.a = clock.now() + 5 * MINUTE;
+  reschedule();
+  clock.advance(6 * MINUTE);
+  assert.deepStrictEqual(fired, [['non-reminder-a:CRITICAL', 45 * MINUTE], ['non-reminder-a:snooze', 51 * MINUTE]]);
+});
+
+test('turning reminders off cancels every timer', () => {
+  const clock = createFakeClock(START);
+  const timers = createReminderTimers(clock, () => assert.fail('fired while off'));
+  const on = diffReminders(null, buildReminderSchedule([task('a', 180)], START, {}, TIERS), START);
+  timers.apply(on);
+  timers.apply(diffReminders(on.scheduled, [], START));
+  assert.strictEqual(clock.pending(), 0);
+  clock.advance(4 * HOUR);
+});
+
+test('the next wake is the soonest deadline, threshold, grave or focus phase', () => {
+  const GRAVE_WINDOW = 24 * HOUR;
+  const tasks = [task('a', 180), task('b', 30)];
+  assert.strictEqual(nextWakeAt(tasks, [], null, START, TIERS, GRAVE_WINDOW), START + 15 * MINUTE);
+  assert.strictEqual(nextWakeAt(tasks, [], null, START + 15 * MINUTE, TIERS, GRAVE_WINDOW), START + 29 * MINUTE);
+  assert.strictEqual(nextWakeAt(tasks, [], null, START + 29 * MINUTE, TIERS, GRAVE_WINDOW), START + 30 * MINUTE);
+  assert.strictEqual(nextWakeAt(tasks, [], null, START + 30 * MINUTE, TIERS, GRAVE_WINDOW), START + 60 * MINUTE);
+
+  const graves = [{ id: 'g', expiredAt: START - GRAVE_WINDOW + 5 * MINUTE }];
+  assert.strictEqual(nextWakeAt(tasks, graves, null, START, TIERS, GRAVE_WINDOW), START + 5 * MINUTE);
+
+  const running = { phaseEnds: START + 2 * MINUTE, remaining: null };
+  const paused = { phaseEnds: START + 2 * MINUTE, remaining: MINUTE };
+  assert.strictEqual(nextWakeAt(tasks, [], running, START, TIERS, GRAVE_WINDOW), START + 2 * MINUTE);
+  assert.strictEqual(nextWakeAt(tasks, [], paused, START, TIERS, GRAVE_WINDOW), START + 15 * MINUTE);
+
+  assert.strictEqual(nextWakeAt([], [], null, START, TIERS, GRAVE_WINDOW), Infinity);
+});
+
+/**
+ * The wake loop driving a miniature of app.js: due missions shatter, or are
+ * counted for the away summary when the wake is quiet
+ */
+function createBoard(clock, tasks) {
+  const board = { tasks: tasks, tiers: {}, wakes: [], shattered: [], away: 0 };
+  board.loop = createWakeLoop(
+    clock,
+    now => nextWakeAt(board.tasks, [], null, now, TIERS, HOUR),
+    (now, quiet) => {
+      board.wakes.push([now - START, quiet]);
+      const due = board.tasks.filter(t => t.deadline <= now);
+      board.tasks = board.tasks.filter(t => t.deadline > now);
+      if (quiet) {
+        board.away += due.length;
+      } else {
+        due.forEach(t => board.shattered.push(t.id));
+      }
+      board.tasks.forEach(t => {
+        board.tiers[t.id] = tierAt(t, now, TIERS).id;
+      });
+    }
+  );
+  return board;
+}
+
+test('the wake loop wakes at each tier threshold and deadline, not every second', () => {
+  const clock = createFakeClock(START);
+  const board = createBoard(clock, [task('a', 30)]);
+  board.loop.wake(true);
+
+  clock.advance(15 * MINUTE);
+  assert.strictEqual(board.tiers.a, 'CRITICAL');
+  clock.advance(14 * MINUTE);
+  assert.strictEqual(board.tiers.a, 'TERMINAL');
+  clock.advance(MINUTE);
+
+  assert.deepStrictEqual(board.wakes, [[0, true], [15 * MINUTE, false], [29 * MINUTE, false], [30 * MINUTE, false]]);
+  assert.deepStrictEqual(board.shattered, ['a']);
+  assert.strictEqual(clock.pending(), 0);
+});
+
+test('re-arming after a change moves the next wake', () => {
+  const clock = createFakeClock(START);
+  const board = createBoard(clock, [task('a', 30)]);
+  board.loop.arm();
+
+  board.tasks.push(task('b', 5));
+  board.loop.arm();
+  assert.strictEqual(clock.pending(), 1);
+  clock.advance(5 * MINUTE);
+  assert.deepStrictEqual(board.wakes, [[4 * MINUTE, false], [5 * MINUTE, false]]);
+  assert.deepStrictEqual(board.shattered, ['b']);
+});
+
+test('a late wake after sleep settles everything due at once, quietly', () => {
+  const clock = createFakeClock(START);
+  const board = createBoard(clock, [task('a', 10), task('b', 20), task('c', 40), task('d', 240)]);
+  board.loop.wake(true);
+
+  clock.sleep(HOUR);
+  assert.deepStrictEqual(board.wakes, [[0, true], [HOUR, true]]);
+  assert.deepStrictEqual(board.shattered, []);
+  assert.strictEqual(board.away, 3);
+  assert.strictEqual(formatAwaySummary(board.away), '3 missions shattered while you were away');
+  assert.deepStrictEqual(board.tasks.map(t => t.id), ['d']);
+
+  // Back on time, so d's threshold wake is loud again
+  clock.advance(2 * HOUR);
+  assert.deepStrictEqual(board.wakes.slice(2), [[2 * HOUR, false]]);
+  assert.strictEqual(board.tiers.d, 'ELEVATED');
+});
+
+test('a wake within the lateness allowance is on time', () => {
+  const clock = createFakeClock(START);
+  const board = createBoard(clock, [task('a', 10)]);
+  board.loop.arm();
+
+  clock.sleep(9 * MINUTE + 1000);
+  assert.deepStrictEqual(board.wakes, [[9 * MINUTE + 1000, false]]);
+});
+
+test('the away summary', () => {
+  assert.strictEqual(formatAwaySummary(0), null);
+  assert.strictEqual(formatAwaySummary(1), '1 mission shattered while you were away');
+  assert.strictEqual(formatAwaySummary(2), '2 missions shattered while you were away');
+});
@@ -0,0 +1,98 @@
+/**
+ * NOW OR NEVER - Deadline Parser Tests
+ *
+ * Run: node --test test/
+ *
+ * Times are built in local time, like the parser's results; the fixed
+ * "now" is a Friday in March, clear of daylight saving changes.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDeadline, parseDuration, parseTimeOfDay, extractInlineDeadline } = require('../timeparse.js');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Fri 2026-03-06 10:00 local
+const NOW = new Date(2026, 2, 6, 10, 0).getTime();
+const at = (month, day, hours, minutes = 0) => new Date(2026, month - 1, day, hours, minutes).getTime();
+
+test('relative durations', () => {
+  assert.strictEqual(parseDeadline('in 90m', NOW), NOW + 90 * MINUTE);
+  assert.strictEqual(parseDeadline('2h30m', NOW), NOW + 150 * MINUTE);
+  assert.strictEqual(parseDeadline('1.5h', NOW), NOW + 90 * MINUTE);
+  assert.strictEqual(parseDeadline('2 hours', NOW), NOW + 2 * HOUR);
+  assert.strictEqual(parseDeadline('1d', NOW), NOW + DAY);
+  assert.strictEqual(parseDeadline('  IN 10 MINS ', NOW), NOW + 10 * MINUTE);
+});
+
+test('durations are capped at a year', () => {
+  assert.strictEqual(parseDeadline('365d', NOW), NOW + 365 * DAY);
+  assert.strictEqual(parseDeadline('366d', NOW), null);
+  assert.strictEqual(parseDeadline('99999999d', NOW), null);
+  assert.strictEqual(parseDuration('364d 24h 1m'), null);
+});
+
+test('zero and empty input', () => {
+  assert.strictEqual(parseDeadline('0m', NOW), null);
+  assert.strictEqual(parseDeadline('', NOW), null);
+  assert.strictEqual(parseDeadline(null, NOW), null);
+  assert.strictEqual(parseDeadline('soon', NOW), null);
+});
+
+test('a bare time means its next occurrence', () => {
+  assert.strictEqual(parseDeadline('17:30', NOW), at(3, 6, 17, 30));
+  assert.strictEqual(parseDeadline('5pm', NOW), at(3, 6, 17));
+  assert.strictEqual(parseDeadline('at 5:30 pm', NOW), at(3, 6, 17, 30));
+  assert.strictEqual(parseDeadline('9am', NOW), at(3, 7, 9));
+  assert.strictEqual(parseDeadline('noon', NOW), at(3, 6, 12));
+  assert.strictEqual(parseDeadline('midnight', NOW), at(3, 7, 0));
+  assert.strictEqual(parseDeadline('10:00', NOW), at(3, 7, 10));
+});
+
+test('days with and without a time', () => {
+  assert.strictEqual(parseDeadline('tomorrow 9am', NOW), at(3, 7, 9));
+  assert.strictEqual(parseDeadline('9am tomorrow', NOW), at(3, 7, 9));
+  assert.strictEqual(parseDeadline('today', NOW), at(3, 6, 23, 59));
+  assert.strictEqual(parseDeadline('tmrw', NOW), at(3, 7, 23, 59));
+  assert.strictEqual(parseDeadline('2026-03-01 09:00', NOW), null);
+  assert.strictEqual(parseDeadline('2026-04-01 09:00', NOW), at(4, 1, 9));
+  assert.strictEqual(parseDeadline('today 8am', NOW), null);
+});
+
+test('weekdays roll forward a week once passed', () => {
+  assert.strictEqual(parseDeadline('mon 8am', NOW), at(3, 9, 8));
+  assert.strictEqual(parseDeadline('next mon 8am', NOW), at(3, 9, 8));
+  assert.strictEqual(parseDeadline('fri 14:00', NOW), at(3, 6, 14));
+  assert.strictEqual(parseDeadline('fri 9am', NOW), at(3, 13, 9));
+  assert.strictEqual(parseDeadline('next fri 14:00', NOW), at(3, 13, 14));
+  assert.strictEqual(parseDeadline('saturday', NOW), at(3, 7, 23, 59));
+});
+
+test('impossible dates and times', () => {
+  assert.strictEqual(parseDeadline('2026-02-31', NOW), null);
+  assert.strictEqual(parseDeadline('25:00', NOW), null);
+  assert.strictEqual(parseDeadline('13pm', NOW), null);
+  assert.strictEqual(parseDeadline('12:60', NOW), null);
+  assert.strictEqual(parseTimeOfDay('0am'), null);
+  assert.deepStrictEqual(parseTimeOfDay('12am'), { hours: 0, minutes: 0 });
+  assert.deepStrictEqual(parseTimeOfDay('12pm'), { hours: 12, minutes: 0 });
+});
+
+test('inline deadlines', () => {
+  assert.deepStrictEqual(extractInlineDeadline('Call vendor @16:00', NOW), {
+    name: 'Call vendor',
+    deadline: at(3, 6, 16)
+  });
+  assert.deepStrictEqual(extractInlineDeadline('Email bob@example.com', NOW), {
+    name: 'Email bob@example.com',
+    deadline: null
+  });
+  assert.deepStrictEqual(extractInlineDeadline('Backup @99999999d', NOW), {
+    name: 'Backup @99999999d',
+    deadline: null
+  });
+});
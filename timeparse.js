@@ -0,0 +1,189 @@
+/**
+ * NOW OR NEVER - Deadline Parser
+ * @version 1.0.0
+ *
+ * Turns typed deadlines into timestamps, in local time.
+ *
+ * Relative:  "in 90m", "2h30m", "1.5h", "2 hours", "1d"
+ * Absolute:  "17:30", "5pm", "5:30pm", "noon", "midnight"
+ *            "tomorrow 9am", "fri 14:00", "next mon 8am", "2026-03-01 09:00"
+ *            "9am tomorrow" (time first works too), "at" is optional
+ *
+ * A time without a day means its next occurrence. A day without a time means
+ * the end of that day (23:59). Results are always in the future, else null.
+ * Relative durations are capped at a year.
+ *
+ * Free of DOM access, so it also loads in Node for testing.
+ */
+'use strict';
+
+const PARSE_UNITS = {
+  d: 24 * 60 * 60000,
+  h: 60 * 60000,
+  m: 60000
+};
+const MAX_DURATION = 365 * PARSE_UNITS.d;
+
+const WEEKDAY_NAMES = [
+  ['sun', 'sunday'],
+  ['mon', 'monday'],
+  ['tue', 'tues', 'tuesday'],
+  ['wed', 'weds', 'wednesday'],
+  ['thu', 'thur', 'thurs', 'thursday'],
+  ['fri', 'friday'],
+  ['sat', 'saturday']
+];
+
+const RELATIVE_PATTERN = /^(?:in\s+)?((?:\d+(?:\.\d+)?\s*(?:days?|d|hours?|hrs?|h|minutes?|mins?|m)\s*)+)$/;
+const RELATIVE_PART = /(\d+(?:\.\d+)?)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m)/g;
+
+const DAY_PART = '(today|tomorrow|tmrw|tmr|(?:next\\s+)?(?:sun|mon|tue|wed|thu|fri|sat)[a-z]*|\\d{4}-\\d{2}-\\d{2})';
+const TIME_PART = '(noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|\\d{1,2}:\\d{2})';
+const DAY_THEN_TIME = new RegExp('^' + DAY_PART + '?\\s*(?:at\\s+)?' + TIME_PART + '?$');
+const TIME_THEN_DAY = new RegExp('^(?:at\\s+)?' + TIME_PART + '\\s+' + DAY_PART + '$');
+
+// Inline phrase at the end of a task name: "Call vendor @16:00"
+const INLINE_PATTERN = /(?:^|\s)@\s*([^@]+?)\s*$/;
+
+/**
+ * Parse a relative duration
+ * @param {string} text - Normalised input
+ * @returns {number|null} Duration in ms, null past MAX_DURATION
+ */
+function parseDuration(text) {
+  if (!RELATIVE_PATTERN.test(text)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(RELATIVE_PART)) {
+    total += parseFloat(amount) * PARSE_UNITS[unit[0]];
+  }
+  return total > 0 && total <= MAX_DURATION ? Math.round(total) : null;
+}
+
+/**
+ * Parse a time of day
+ * @param {string} text - "17:30", "5pm", "5:30 pm", "noon", "midnight"
+ * @returns {{hours: number, minutes: number}|null}
+ */
+function parseTimeOfDay(text) {
+  if (text === 'noon') return { hours: 12, minutes: 0 };
+  if (text === 'midnight') return { hours: 0, minutes: 0 };
+
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3];
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return { hours: hours, minutes: minutes };
+}
+
+/**
+ * Find the start of the day a day phrase refers to
+ * @param {string} text - "today", "tomorrow", "fri", "next mon", "2026-03-01"
+ * @param {Date} today - Local midnight of the current day
+ * @returns {{date: Date, weekly: boolean}|null} weekly when it names a weekday
+ */
+function parseDay(text, today) {
+  const date = new Date(today);
+
+  if (text === 'today') return { date: date, weekly: false };
+  if (text === 'tomorrow' || text === 'tmrw' || text === 'tmr') {
+    date.setDate(date.getDate() + 1);
+    return { date: date, weekly: false };
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const exact = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    // Reject rollovers like 2026-02-31
+    if (exact.getMonth() !== Number(iso[2]) - 1 || exact.getDate() !== Number(iso[3])) return null;
+    return { date: exact, weekly: false };
+  }
+
+  const next = text.startsWith('next ');
+  const name = next ? text.slice(5).trim() : text;
+  const weekday = WEEKDAY_NAMES.findIndex(names => names.includes(name));
+  if (weekday === -1) return null;
+
+  let offset = (weekday - date.getDay() + 7) % 7;
+  if (next && offset === 0) offset = 7;
+  date.setDate(date.getDate() + offset);
+  return { date: date, weekly: true };
+}
+
+/**
+ * Parse a typed deadline
+ * @param {string} text - What the user typed
+ * @param {number} now - Current timestamp
+ * @returns {number|null} Deadline timestamp, or null if unreadable or not in the future
+ */
+function parseDeadline(text, now) {
+  const input = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!input) return null;
+
+  const duration = parseDuration(input);
+  if (duration !== null) return now + duration;
+
+  let dayText;
+  let timeText;
+  let match = input.match(DAY_THEN_TIME);
+  if (match) {
+    [, dayText, timeText] = match;
+  } else if ((match = input.match(TIME_THEN_DAY))) {
+    [, timeText, dayText] = match;
+  } else {
+    return null;
+  }
+  if (!dayText && !timeText) return null;
+
+  const time = timeText ? parseTimeOfDay(timeText) : { hours: 23, minutes: 59 };
+  if (!time) return null;
+
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const day = dayText ? parseDay(dayText, today) : { date: today, weekly: false };
+  if (!day) return null;
+
+  const deadline = new Date(day.date);
+  deadline.setHours(time.hours, time.minutes, 0, 0);
+
+  // A bare time or weekday that has passed means its next occurrence
+  if (deadline.getTime() <= now && (!dayText || day.weekly)) {
+    deadline.setDate(deadline.getDate() + (dayText ? 7 : 1));
+  }
+
+  const result = deadline.getTime();
+  return Number.isFinite(result) && result > now ? result : null;
+}
+
+/**
+ * Pull a trailing "@..." deadline out of a task name
+ * @param {string} name - Task name as typed
+ * @param {number} now - Current timestamp
+ * @returns {{name: string, deadline: number|null}} Name without the phrase
+ *   when it parsed; otherwise the name unchanged and a null deadline
+ */
+function extractInlineDeadline(name, now) {
+  const text = String(name || '');
+  const match = text.match(INLINE_PATTERN);
+  if (!match) return { name: text.trim(), deadline: null };
+
+  const deadline = parseDeadline(match[1], now);
+  if (deadline === null) return { name: text.trim(), deadline: null };
+
+  return { name: text.slice(0, match.index).trim(), deadline: deadline };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseDeadline, parseDuration, parseTimeOfDay, extractInlineDeadline };
+}
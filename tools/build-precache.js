@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * NOW OR NEVER - Precache manifest generator
+ * Hashes the app shell and writes precache-manifest.js, which sw.js imports.
+ * Any content change gives the service worker a new precache version, so
+ * browsers install it and the page can offer "Update now".
+ *
+ * Usage: node tools/build-precache.js           (rewrite precache-manifest.js)
+ *        node tools/build-precache.js --check   (exit 1 if it is out of date)
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// Everything the app needs to start offline; sw.js itself is never precached
+const APP_SHELL = [
+  'index.html',
+  'manifest.json',
+  'styles.css',
+  'records.js',
+  'storage.js',
+  'sync.js',
+  'timeparse.js',
+  'scheduler.js',
+  'ics.js',
+  'app.js'
+];
+const ASSET_DIRS = ['icons'];
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function listAssets() {
+  const files = APP_SHELL.slice();
+  ASSET_DIRS.forEach((dir) => {
+    fs.readdirSync(path.join(ROOT, dir))
+      .filter((name) => !name.startsWith('.'))
+      .sort()
+      .forEach((name) => files.push(dir + '/' + name));
+  });
+  return files;
+}
+
+function buildManifest() {
+  const entries = listAssets().map((file) => ({
+    url: '/' + file,
+    revision: hash(fs.readFileSync(path.join(ROOT, file)))
+  }));
+  const version = hash(entries.map((entry) => entry.url + '@' + entry.revision).join('\n'));
+
+  return [
+    '/**',
+    ' * NOW OR NEVER - Precache manifest',
+    ' * Generated by tools/build-precache.js; do not edit by hand.',
+    ' */',
+    '',
+    `const PRECACHE_VERSION = '${version}';`,
+    '',
+    'const PRECACHE_MANIFEST = [',
+    entries.map((entry) => `  { url: '${entry.url}', revision: '${entry.revision}' }`).join(',\n'),
+    '];',
+    ''
+  ].join('\n');
+}
+
+const manifest = buildManifest();
+
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== manifest) {
+    console.error('[Precache] precache-manifest.js is out of date; run node tools/build-precache.js');
+    process.exit(1);
+  }
+  console.log('[Precache] Up to date');
+} else {
+  fs.writeFileSync(OUTPUT, manifest);
+  console.log('[Precache] Wrote ' + path.relative(ROOT, OUTPUT));
+}
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * NOW OR NEVER - Shared board relay
+ * In-memory WebSocket relay for shared mission boards. Speaks the protocol
+ * documented in app.js (SHARED BOARDS) and resolves conflicting changes with
+ * the same rules as sync.js, so every member converges on one board.
+ *
+ * No dependencies: just enough of RFC 6455 for browser clients (text frames,
+ * ping/pong, close).
+ *
+ * Usage: node tools/relay-server.js [port]   (default 8788)
+ * Then set Relay Server to ws://localhost:8788 and pick a board in Settings
+ *
+ * Tests require() it and start their own server with createRelayServer().
+ */
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const { resolveChangeConflict } = require('../sync.js');
+const { isValidChange } = require('../records.js');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const BOARD_PATTERN = /^[\w-]{1,64}$/;
+const MAX_NAME_LENGTH = 40;
+
+// ==================== WEBSOCKET FRAMING ====================
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read one complete frame from the front of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, size: number}|null} null until complete
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (length > MAX_MESSAGE_BYTES) {
+    throw new Error('Frame too large');
+  }
+
+  const maskOffset = offset;
+  if (masked) offset += 4;
+  if (buffer.length < offset + length) return null;
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+/**
+ * Wrap an upgraded socket as a minimal message connection
+ * @param {net.Socket} socket - Upgraded socket
+ * @param {function} onMessage - (text) => void
+ * @param {function} onClose - () => void
+ * @returns {{send: function, close: function}}
+ */
+function createConnection(socket, onMessage, onClose) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+
+  function close(code = 1000) {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, payload));
+    onClose();
+  }
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    try {
+      let frame;
+      while (!closed && (frame = decodeFrame(buffer))) {
+        buffer = buffer.subarray(frame.size);
+
+        if (frame.opcode === 0x8) {
+          close();
+        } else if (frame.opcode === 0x9) {
+          socket.write(encodeFrame(0xa, frame.payload));
+        } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+          fragments.push(frame.payload);
+          if (fragments.reduce((size, part) => size + part.length, 0) > MAX_MESSAGE_BYTES) {
+            close(1009);
+          } else if (frame.fin) {
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            onMessage(text);
+          }
+        } else if (frame.opcode !== 0xa) {
+          close(1003); // Binary frames are not part of the protocol
+        }
+      }
+    } catch (err) {
+      close(1009);
+    }
+  });
+  // Dropped without a close frame; the HTTP server keeps sockets half-open
+  socket.on('end', () => close());
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true;
+      onClose();
+    }
+  });
+  socket.on('error', () => socket.destroy());
+
+  return {
+    send: (message) => {
+      if (!closed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message), 'utf8')));
+    },
+    close: close
+  };
+}
+
+// ==================== BOARDS ====================
+
+/**
+ * @param {Map} boards - board id -> { cursor, latest: Map(task id -> { change, seq }), clients: Set }
+ * @param {string} id - Board id
+ */
+function getBoard(boards, id) {
+  if (!boards.has(id)) {
+    boards.set(id, { cursor: 0, latest: new Map(), clients: new Set() });
+  }
+  return boards.get(id);
+}
+
+function broadcast(board, message) {
+  board.clients.forEach((client) => client.connection.send(message));
+}
+
+function broadcastPresence(board) {
+  broadcast(board, {
+    type: 'presence',
+    members: [...board.clients].map((client) => ({ ...client.member, focus: client.focus }))
+  });
+}
+
+function changesSince(board, since) {
+  return [...board.latest.values()]
+    .filter((entry) => entry.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .map((entry) => entry.change);
+}
+
+/**
+ * Store a change if it wins, and tell the board; a losing sender gets the winner
+ * @param {object} board - Board
+ * @param {object} client - Sender
+ * @param {object} change - Change from the sender
+ */
+function applyChange(board, client, change) {
+  const stored = board.latest.get(change.id);
+  if (stored && JSON.stringify(stored.change) === JSON.stringify(change)) return;
+
+  if (resolveChangeConflict(stored ? stored.change : null, change) === change) {
+    board.latest.set(change.id, { change: change, seq: ++board.cursor });
+    broadcast(board, { type: 'change', cursor: board.cursor, change: change });
+  } else {
+    client.connection.send({ type: 'change', cursor: board.cursor, change: stored.change });
+  }
+}
+
+function cleanMember(member) {
+  if (!member || typeof member.id !== 'string' || !BOARD_PATTERN.test(member.id)) return null;
+  const name = typeof member.name === 'string' ? member.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+  return { id: member.id, name: name || 'Anonymous' };
+}
+
+function handleMessage(boards, client, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (err) {
+    return;
+  }
+  if (!message || typeof message.type !== 'string') return;
+
+  if (message.type === 'hello') {
+    const member = cleanMember(message.member);
+    if (client.board || !member || typeof message.board !== 'string' || !BOARD_PATTERN.test(message.board)) {
+      client.connection.close(1008);
+      return;
+    }
+    client.member = member;
+    client.board = getBoard(boards, message.board);
+    client.board.clients.add(client);
+
+    const since = Number.isInteger(message.since) ? message.since : 0;
+    client.connection.send({
+      type: 'welcome',
+      cursor: client.board.cursor,
+      changes: changesSince(client.board, since)
+    });
+    broadcastPresence(client.board);
+    return;
+  }
+
+  if (!client.board) return; // Say hello first
+
+  if (message.type === 'change' && isValidChange(message.change)) {
+    applyChange(client.board, client, {
+      ...message.change,
+      by: client.member // Attributed by the relay, not the sender
+    });
+  } else if (message.type === 'presence') {
+    client.focus = typeof message.focus === 'string' ? message.focus.slice(0, 64) : null;
+    broadcastPresence(client.board);
+  }
+}
+
+// ==================== SERVER ====================
+
+/**
+ * Create a relay with its own, empty boards
+ * @returns {http.Server} Not listening yet
+ */
+function createRelayServer() {
+  const boards = new Map();
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket only\n');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Accept: ' + accept,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const client = { member: null, board: null, focus: null, connection: null };
+    client.connection = createConnection(
+      socket,
+      (text) => handleMessage(boards, client, text),
+      () => {
+        if (!client.board) return;
+        client.board.clients.delete(client);
+        broadcastPresence(client.board);
+      }
+    );
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8788;
+  createRelayServer().listen(port, () => {
+    console.log(`[Relay] Listening on ws://localhost:${port}`);
+  });
+}
+
+module.exports = { createRelayServer, encodeFrame, decodeFrame };
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * NOW OR NEVER - Stand-in sync server
+ * In-memory implementation of the REST protocol documented in sync.js,
+ * for local testing of multi-device sync.
+ *
+ * Usage: node tools/sync-server.js [port]   (default 8787)
+ * Then set the Sync Server setting to http://localhost:8787
+ */
+'use strict';
+
+const http = require('http');
+const { resolveChangeConflict } = require('../sync.js');
+const { isValidChange } = require('../records.js');
+
+const PORT = Number(process.argv[2]) || 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+let cursor = 0;
+const latest = new Map(); // task id -> { change, seq }
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function applyChanges(changes) {
+  const accepted = [];
+  const rejected = [];
+
+  changes.filter(isValidChange).forEach((change) => {
+    const stored = latest.get(change.id);
+
+    if (stored && JSON.stringify(stored.change) === JSON.stringify(change)) {
+      accepted.push(change.id); // Already have it
+      return;
+    }
+
+    const winner = resolveChangeConflict(stored ? stored.change : null, change);
+    if (winner === change) {
+      latest.set(change.id, { change: change, seq: ++cursor });
+      accepted.push(change.id);
+    } else {
+      rejected.push(stored.change);
+    }
+  });
+
+  return { cursor, accepted, rejected };
+}
+
+function changesSince(since) {
+  const changes = [...latest.values()]
+    .filter((entry) => entry.seq > since)
+    .sort((a, b) => a.seq - b.seq)
+    .map((entry) => entry.change);
+  return { cursor, changes };
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (url.pathname !== '/changes') {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    const since = parseInt(url.searchParams.get('since'), 10) || 0;
+    send(res, 200, changesSince(since));
+    return;
+  }
+
+  if (req.method === 'POST') {
+    try {
+      const body = await readJson(req);
+      if (!body || !Array.isArray(body.changes)) {
+        send(res, 400, { error: 'Expected { changes: [] }' });
+        return;
+      }
+      send(res, 200, applyChanges(body.changes));
+    } catch (err) {
+      send(res, 400, { error: err.message });
+    }
+    return;
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`[SyncServer] Listening on http://localhost:${PORT}`);
+});